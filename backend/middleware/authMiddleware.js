@@ -2,6 +2,52 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); // Import the User model
+const RefreshToken = require('../models/RefreshToken'); // Login sessions, used to check revocation
+const Role = require('../models/Role'); // Roles and their permissions
+const { runWithAuditContext } = require('../utils/auditTrail'); // Records changes made by staff
+
+// Checks an access token the way 'protect' does (signature, session, blocked user, password change).
+// Also used to authenticate WebSocket connections (see utils/realtime.js).
+// Returns { user, decoded, session, permissions } or { error: { status, message } }. Throws if the token is invalid.
+const authenticateAccessToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens always belong to a login session; anything else signed with the same secret
+  // (e.g. an email verification link) or issued before sessions existed is not accepted
+  if (!decoded.sid || decoded.purpose) {
+    return { error: { status: 401, message: 'Not authorized, please log in again' } };
+  }
+
+  // Find user by ID from the decoded token (excluding password)
+  const user = await User.findById(decoded.id).select('-password');
+
+  // If user is not found, or token is invalid/expired
+  if (!user) {
+    return { error: { status: 401, message: 'Not authorized, user not found' } };
+  }
+
+  // Blocked users lose access immediately, not when their token expires
+  if (user.isBlocked) {
+    return { error: { status: 403, message: 'Your account has been blocked. Please contact support.' } };
+  }
+
+  // Reject tokens issued before the last password change (e.g. after a password reset)
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: { status: 401, message: 'Not authorized, password was changed. Please log in again' } };
+  }
+
+  // Reject tokens of a session that was logged out or revoked
+  const session = await RefreshToken.findActiveSession(decoded.sid);
+  if (!session) {
+    return { error: { status: 401, message: 'Not authorized, session has ended. Please log in again' } };
+  }
+
+  // What the user's role allows (checked by authorizePermissions and inside some handlers)
+  const permissions = await Role.getPermissions(user.role);
+
+  return { user, decoded, session, permissions };
+};
 
 // Middleware to protect routes (authentication)
 const protect = async (req, res, next) => {
@@ -13,15 +59,26 @@ const protect = async (req, res, next) => {
       // Get token from header (format: "Bearer TOKEN")
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const auth = await authenticateAccessToken(token);
+      if (auth.error) {
+        return res.status(auth.error.status).json({ message: auth.error.message });
+      }
 
-      // Find user by ID from the decoded token (excluding password)
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = auth.user;
+      req.sessionId = auth.session.sessionId;
+      req.twoFactorVerified = auth.session.twoFactorVerified;
+      req.permissions = auth.permissions;
 
-      // If user is not found, or token is invalid/expired
-      if (!req.user) {
-        return res.status(401).json({ message: 'Not authorized, user not found' });
+      // Changes made by staff are written to the audit log by the audited models
+      if (req.permissions.length > 0 && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return runWithAuditContext({
+          actor: req.user._id,
+          actorRole: req.user.role,
+          method: req.method,
+          path: req.originalUrl,
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+        }, next);
       }
 
       next(); // Proceed to the next middleware or route handler
@@ -36,22 +93,88 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Middleware to check user roles (authorization)
+// Middleware for streaming endpoints (Server-Sent Events): browsers' EventSource can't send an Authorization
+// header, so the access token may be given as ?access_token= instead. Use it right before 'protect', and only
+// on GET streams - URLs end up in logs, which is tolerable for short-lived access tokens but nothing else.
+const acceptTokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Middleware to check permissions (authorization): the user's role must have ALL of them
 // This will be called after 'protect' middleware
-const authorizeRoles = (...roles) => {
+const authorizePermissions = (...permissions) => {
   return (req, res, next) => {
-    // req.user is set by the 'protect' middleware
-    if (!req.user) {
+    // req.user and req.permissions are set by the 'protect' middleware
+    if (!req.user || !req.permissions) {
       return res.status(403).json({ message: 'Not authorized, user data missing' }); // 403 Forbidden
     }
 
-    // Check if the user's role is included in the allowed roles
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: `User role '${req.user.role}' is not authorized to access this resource` });
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: `User role '${req.user.role}' is missing the permission(s): ${missing.join(', ')}` });
+    }
+
+    next(); // User has the required permissions, proceed
+  };
+};
+
+// Middleware like authorizePermissions, but ANY ONE of the permissions is enough
+// (the handler then checks req.permissions to decide what the user may do)
+const authorizeAnyPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || !req.permissions) {
+      return res.status(403).json({ message: 'Not authorized, user data missing' });
+    }
+
+    if (!permissions.some(permission => req.permissions.includes(permission))) {
+      return res.status(403).json({ message: `User role '${req.user.role}' needs one of the permissions: ${permissions.join(', ')}` });
     }
 
-    next(); // User has the required role, proceed
+    next();
   };
 };
 
-module.exports = { protect, authorizeRoles };
\ No newline at end of file
+// Middleware to require a verified email address (e.g. before ordering or paying)
+// This will be called after 'protect' middleware
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ message: 'Not authorized, user data missing' });
+  }
+
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address before continuing. You can request a new verification email from your profile.' });
+  }
+
+  next();
+};
+
+// Middleware to require a session that completed two-factor authentication (for sensitive admin actions)
+// This will be called after 'protect' (and usually 'authorizePermissions') middleware
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ message: 'Not authorized, user data missing' });
+  }
+
+  if (!req.user.twoFactorEnabled) {
+    return res.status(403).json({ message: 'Two-factor authentication must be enabled on your account for this action.', twoFactorSetupRequired: true });
+  }
+
+  if (!req.twoFactorVerified) {
+    return res.status(403).json({ message: 'Please log in again with your two-factor code to perform this action.', twoFactorRequired: true });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateAccessToken,
+  protect,
+  acceptTokenFromQuery,
+  authorizePermissions,
+  authorizeAnyPermission,
+  requireVerifiedEmail,
+  requireTwoFactor,
+};
\ No newline at end of file
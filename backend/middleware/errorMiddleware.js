@@ -33,6 +33,12 @@ const errorHandler = (err, req, res, next) => {
         message = `Duplicate field value: '${err.keyValue[field]}'. A ${field} with that value already exists.`;
     }
 
+    // Handle request bodies over the body parser's limit (e.g. proof-of-delivery images)
+    if (err.type === 'entity.too.large') {
+        statusCode = 413;
+        message = 'Request body is too large';
+    }
+
     res.status(statusCode).json({
         message: message,
         // Only include stack trace in development for debugging
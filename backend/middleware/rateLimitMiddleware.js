@@ -35,9 +35,21 @@ const passwordResetLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Rate limiter for two-factor code checks (stops guessing the 6-digit codes)
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // Limit each IP to 10 code attempts per windowMs
+    message: {
+        message: 'Too many two-factor attempts from this IP, please try again after 15 minutes',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 
 module.exports = {
     apiLimiter,
     authLimiter,
-    passwordResetLimiter
+    passwordResetLimiter,
+    twoFactorLimiter
 };
\ No newline at end of file
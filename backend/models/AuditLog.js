@@ -0,0 +1,47 @@
+// backend/models/AuditLog.js
+
+const mongoose = require('mongoose');
+
+// One change made by a staff user (anyone whose role has permissions) through the API.
+// Written automatically by the auditTrail plugin on the audited models; never edited afterwards.
+const auditLogSchema = new mongoose.Schema({
+  actor: { // The staff user who made the request
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: { type: String },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'bulk-update', 'bulk-delete'],
+    required: true
+  },
+  targetModel: { // e.g. 'Product', 'Order'
+    type: String,
+    required: true
+  },
+  targetId: { // Empty for bulk changes
+    type: mongoose.Schema.Types.ObjectId
+  },
+  changes: { // { before, after } with only the fields that changed (sensitive fields redacted)
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  filter: { // For bulk changes: which documents were targeted and with what update
+    type: mongoose.Schema.Types.Mixed
+  },
+  method: { type: String }, // HTTP method of the request
+  path: { type: String }, // Request URL, e.g. /api/products/665f...
+  ip: { type: String },
+  userAgent: { type: String },
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Entries are never updated
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,40 @@
+// backend/models/Cart.js
+
+const mongoose = require('mongoose');
+
+// Define the schema for individual items within a cart
+// Only the product reference and quantity are stored; name, price and image are always
+// read live from the Product document so the cart never shows stale data.
+const cartItemSchema = new mongoose.Schema({
+  product: { // Reference to the actual Product document
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product', // Refers to the Product model
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1,
+  },
+});
+
+// Define the main Cart schema - one cart per user, persisted across devices
+const cartSchema = new mongoose.Schema(
+  {
+    user: { // Reference to the User who owns the cart
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true, // Each user has exactly one cart
+      ref: 'User', // Refers to the User model
+    },
+    items: [cartItemSchema], // Array of cart items using the schema defined above
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
@@ -1,6 +1,7 @@
 // models/Category.js
 
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -30,6 +31,8 @@ const categorySchema = new mongoose.Schema({
   timestamps: true // Adds createdAt and updatedAt fields automatically
 });
 
+categorySchema.plugin(auditTrailPlugin);
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
\ No newline at end of file
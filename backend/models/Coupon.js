@@ -0,0 +1,165 @@
+// backend/models/Coupon.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin, runWithoutAudit } = require('../utils/auditTrail');
+
+const couponSchema = new mongoose.Schema({
+  code: { // The code customers type at checkout (stored upper-case)
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Coupon description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: { // Percent (0-100) for 'percentage', currency amount for 'fixed', ignored for 'free_shipping'
+    type: Number,
+    default: 0,
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.discountType !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100'
+    }
+  },
+  maxDiscountAmount: { // Optional cap for percentage discounts
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minOrderAmount: { // Minimum items subtotal required to use the coupon
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order amount cannot be negative']
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  usageLimit: { // Total number of orders that can use this coupon (null = unlimited)
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: { // Number of orders each customer can use it on (null = unlimited)
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+// --- Returns a reason string if the coupon cannot be used right now for this subtotal, otherwise null ---
+couponSchema.methods.getIneligibilityReason = function(itemsPrice) {
+  const now = new Date();
+  if (!this.isActive) {
+    return 'This coupon is no longer active.';
+  }
+  if (this.startsAt && this.startsAt > now) {
+    return 'This coupon is not valid yet.';
+  }
+  if (this.expiresAt && this.expiresAt < now) {
+    return 'This coupon has expired.';
+  }
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return 'This coupon has reached its usage limit.';
+  }
+  if (itemsPrice < this.minOrderAmount) {
+    return `A minimum order of $${this.minOrderAmount.toFixed(2)} is required to use this coupon.`;
+  }
+  return null;
+};
+
+// --- Calculates the discount for an order ---
+// Returns { itemsDiscount, shippingDiscount }; item discounts never exceed the items subtotal.
+couponSchema.methods.calculateDiscount = function(itemsPrice, shippingPrice) {
+  let itemsDiscount = 0;
+  let shippingDiscount = 0;
+
+  switch (this.discountType) {
+    case 'percentage':
+      itemsDiscount = itemsPrice * (this.discountValue / 100);
+      if (this.maxDiscountAmount) {
+        itemsDiscount = Math.min(itemsDiscount, this.maxDiscountAmount);
+      }
+      break;
+    case 'fixed':
+      itemsDiscount = this.discountValue;
+      break;
+    case 'free_shipping':
+      shippingDiscount = shippingPrice;
+      break;
+  }
+
+  return {
+    itemsDiscount: Math.min(itemsDiscount, itemsPrice),
+    shippingDiscount,
+  };
+};
+
+// --- Atomically count one use, respecting usageLimit (returns null if the limit was reached) ---
+// usedCount moves with every order, so these counter updates are kept out of the audit log.
+couponSchema.statics.redeem = function(couponId, session) {
+  return runWithoutAudit(() => this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  ).exec());
+};
+
+// --- Give back the use counted for an order whose holds are released (safe to call more than once) ---
+// The order is modified in memory; the caller is responsible for saving it.
+couponSchema.statics.releaseForOrder = async function(order, session) {
+  if (!order.couponCode || order.couponReleasedAt) {
+    return false;
+  }
+  await runWithoutAudit(() => this.updateOne(
+    { code: order.couponCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  ).exec());
+  order.couponReleasedAt = new Date();
+  return true;
+};
+
+// --- Count the use again when a released order is paid for after all ---
+// The customer already has the discount, so this ignores usageLimit.
+couponSchema.statics.restoreForOrder = async function(order, session) {
+  if (!order.couponCode || !order.couponReleasedAt) {
+    return false;
+  }
+  await runWithoutAudit(() => this.updateOne({ code: order.couponCode }, { $inc: { usedCount: 1 } }, { session }).exec());
+  order.couponReleasedAt = undefined;
+  return true;
+};
+
+couponSchema.plugin(auditTrailPlugin);
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
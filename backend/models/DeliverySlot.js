@@ -0,0 +1,102 @@
+// backend/models/DeliverySlot.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin, runWithoutAudit } = require('../utils/auditTrail');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/; // 24h "HH:mm"
+
+// A delivery window on a given day (e.g., 2025-06-10, 09:00 - 11:00) with a limited capacity
+const deliverySlotSchema = new mongoose.Schema({
+  date: { // The day of the window, stored as midnight UTC
+    type: Date,
+    required: [true, 'Slot date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Slot start time is required'],
+    match: [TIME_FORMAT, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Slot end time is required'],
+    match: [TIME_FORMAT, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(v) {
+        return !this.startTime || v > this.startTime; // "HH:mm" strings compare correctly
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  capacity: { // Maximum number of orders that can be delivered in this window
+    type: Number,
+    required: [true, 'Slot capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  reservedCount: { // Number of orders currently holding this window
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved count cannot be negative']
+  },
+  isActive: { // Admins can close a window without deleting it
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Only one window per start time on a given day
+deliverySlotSchema.index({ date: 1, startTime: 1 }, { unique: true });
+
+// Full start date-time of the window, used to hide windows that have already started
+deliverySlotSchema.virtual('startsAt').get(function() {
+  if (!this.date || !this.startTime) return undefined;
+  const [hours, minutes] = this.startTime.split(':').map(Number);
+  const startsAt = new Date(this.date);
+  startsAt.setUTCHours(hours, minutes, 0, 0);
+  return startsAt;
+});
+
+deliverySlotSchema.virtual('available').get(function() {
+  return Math.max(this.capacity - this.reservedCount, 0);
+});
+
+// --- Atomically reserve one place in a window (returns null if full, closed or already started) ---
+// reservedCount moves with every order, so these counter updates are kept out of the audit log.
+deliverySlotSchema.statics.reserve = async function(slotId, session) {
+  const slot = await runWithoutAudit(() => this.findOneAndUpdate(
+    { _id: slotId, isActive: true, $expr: { $lt: ['$reservedCount', '$capacity'] } },
+    { $inc: { reservedCount: 1 } },
+    { new: true, session }
+  ).exec());
+
+  if (slot && slot.startsAt <= new Date()) {
+    // Too late to book this window - undo the increment
+    await runWithoutAudit(() => this.updateOne({ _id: slot._id }, { $inc: { reservedCount: -1 } }, { session }).exec());
+    return null;
+  }
+  return slot;
+};
+
+// --- Release an order's reservation (safe to call more than once for the same order) ---
+// The order is modified in memory; the caller is responsible for saving it.
+deliverySlotSchema.statics.releaseForOrder = async function(order, session) {
+  if (!order.deliverySlot || order.deliverySlotReleasedAt) {
+    return false;
+  }
+  await runWithoutAudit(() => this.updateOne(
+    { _id: order.deliverySlot, reservedCount: { $gt: 0 } },
+    { $inc: { reservedCount: -1 } },
+    { session }
+  ).exec());
+  order.deliverySlotReleasedAt = new Date();
+  return true;
+};
+
+deliverySlotSchema.plugin(auditTrailPlugin);
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+module.exports = DeliverySlot;
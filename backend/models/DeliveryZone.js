@@ -0,0 +1,70 @@
+// backend/models/DeliveryZone.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// An area the store delivers to, given as postal codes, a GeoJSON polygon, or both.
+// Once any zone is active, orders are only accepted for addresses inside an active zone (see utils/deliveryZones).
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true
+  },
+  country: { // Optional; if set, the zone only matches addresses in this country
+    type: String,
+    trim: true,
+    default: null
+  },
+  postalCodes: { // e.g. ['10001', '1002']; each also covers the postal codes that start with it
+    type: [String],
+    default: []
+  },
+  area: { // GeoJSON Polygon or MultiPolygon, coordinates as [longitude, latitude]; matched against the geocoded address
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+    },
+    coordinates: { type: Array },
+  },
+  minimumOrderValue: { // Smallest items subtotal accepted for delivery in this zone
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  deliveryFee: { // Shipping fee in this zone instead of the shipping zone's fee; its free-shipping threshold still applies
+    // (null = use the shipping zone rules, see /api/pricing/shipping-zones)
+    type: Number,
+    default: null,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+deliveryZoneSchema.index({ area: '2dsphere' }, { sparse: true });
+
+// A zone must say where it is
+deliveryZoneSchema.pre('validate', function() {
+  const hasArea = !!(this.area && this.area.type);
+  if (hasArea && !Array.isArray(this.area.coordinates)) {
+    this.invalidate('area', 'Area coordinates are required');
+  }
+  if (this.postalCodes.length === 0 && !hasArea) {
+    this.invalidate('postalCodes', 'A zone needs postal codes or an area');
+  }
+  if (!hasArea) {
+    this.area = undefined; // Leave the field out entirely so the sparse geo index skips it
+  }
+});
+
+deliveryZoneSchema.plugin(auditTrailPlugin);
+
+const DeliveryZone = mongoose.model('DeliveryZone', deliveryZoneSchema);
+
+module.exports = DeliveryZone;
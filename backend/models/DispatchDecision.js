@@ -0,0 +1,46 @@
+// backend/models/DispatchDecision.js
+
+const mongoose = require('mongoose');
+
+// One automatic dispatch attempt for an order: which agents were considered, and who (if anyone) got the order.
+// Written by utils/autoDispatch.js; never edited afterwards.
+const dispatchDecisionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  trigger: { // Why the order needed an agent: 'payment' (webhook) or 'status-update' (admin) moved it to Processing,
+    // 'rejected' or 'shift-ended' means its agent handed it back
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['assigned', 'no-agent', 'skipped', 'failed'],
+    required: true
+  },
+  agent: { // The agent the order was given to (outcome 'assigned')
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postalCode: { type: String }, // Of the order's shipping address, used for zone matching
+  reason: { type: String }, // Why the outcome was reached, in words
+  candidates: [{ // Every on-shift agent that was considered
+    _id: false,
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    activeOrders: { type: Number },
+    capacity: { type: Number },
+    zoneMatch: { type: String, enum: ['zone', 'any', 'none'] }, // Serves the postal code / serves everywhere / doesn't serve it
+    eligible: { type: Boolean },
+  }],
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Entries are never updated
+});
+
+dispatchDecisionSchema.index({ createdAt: -1 });
+dispatchDecisionSchema.index({ order: 1, createdAt: -1 });
+
+const DispatchDecision = mongoose.model('DispatchDecision', dispatchDecisionSchema);
+
+module.exports = DispatchDecision;
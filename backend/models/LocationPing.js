@@ -0,0 +1,41 @@
+// backend/models/LocationPing.js
+
+const mongoose = require('mongoose');
+
+// How long the trail of a delivery is kept
+const TRAIL_RETENTION_DAYS = parseInt(process.env.LOCATION_TRAIL_DAYS) || 30;
+
+// One GPS position of a delivery agent while an order was out for delivery.
+// The pings of an order, oldest first, are its delivery trail; the newest is also copied to Order.lastLocation.
+const locationPingSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  location: { // GeoJSON point, so coordinates are [longitude, latitude]
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+  },
+  accuracy: { type: Number }, // Metres, as reported by the device
+  heading: { type: Number }, // Degrees from north
+  speed: { type: Number }, // Metres per second
+  recordedAt: { // When the device took the reading (may be earlier than createdAt if pings were queued offline)
+    type: Date,
+    required: true
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Pings are never updated
+});
+
+locationPingSchema.index({ order: 1, recordedAt: 1 });
+locationPingSchema.index({ createdAt: 1 }, { expireAfterSeconds: TRAIL_RETENTION_DAYS * 24 * 60 * 60 });
+
+const LocationPing = mongoose.model('LocationPing', locationPingSchema);
+
+module.exports = LocationPing;
@@ -0,0 +1,39 @@
+// backend/models/LoginHistory.js
+
+const mongoose = require('mongoose');
+
+// One login attempt on an existing account (successful or not), shown to the user in their login history
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: { // e.g. 'invalid_password', 'invalid_2fa_code', 'locked', 'blocked'
+    type: String
+  },
+  ip: { type: String },
+  userAgent: { type: String },
+  deviceHash: { // SHA-256 of the user agent, used to recognise devices the user has logged in from before
+    type: String
+  },
+  newDevice: { // First successful login from this device
+    type: Boolean,
+    default: false
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, deviceHash: 1, success: 1 });
+// Entries are kept for 180 days
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+module.exports = LoginHistory;
@@ -1,6 +1,9 @@
 // backend/models/Order.js
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { publishOrderEventOnCommit } = require('../utils/orderEvents');
 
 // Define the schema for individual items within an order
 const orderItemSchema = new mongoose.Schema({
@@ -13,8 +16,72 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     ref: 'Product', // Refers to the Product model
   },
+  refundedQuantity: { type: Number, default: 0 }, // How many units of this line have been refunded
 });
 
+// Define the schema for a refund issued against the order (full or per line item)
+const refundSchema = new mongoose.Schema({
+  stripeRefundId: { type: String },
+  amount: { type: Number, required: true },
+  reason: { type: String },
+  items: [{ // Empty for a full refund or a refund made directly in the Stripe dashboard
+    orderItem: { type: mongoose.Schema.Types.ObjectId },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    quantity: { type: Number },
+  }],
+  restocked: { type: Boolean, default: false }, // Whether the quantities were returned to Product.stockQuantity
+  status: { type: String }, // Stripe refund status (pending, succeeded, failed, ...)
+  source: { type: String, enum: ['admin', 'customer', 'stripe', 'system'], default: 'admin' }, // 'stripe' = found via webhook only, 'system' = automatic (e.g. paid after cancellation)
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+// Allowed orderStatus changes. Delivered and Cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+  'Pending': ['Processing', 'Cancelled'],
+  'Processing': ['Out for Delivery', 'Cancelled'],
+  'Out for Delivery': ['Delivered', 'Processing', 'Cancelled'], // Back to Processing after a failed delivery attempt
+  'Delivered': [],
+  'Cancelled': [],
+};
+
+// Orders in these statuses are done; they can't be assigned and don't count towards an agent's workload
+const FINAL_ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS).filter(status => ORDER_STATUS_TRANSITIONS[status].length === 0);
+
+// Define the schema for one entry of the order's status timeline
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String }, // Empty for the first entry (order placed)
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty for automatic changes (e.g. payment webhook)
+  actorRole: { type: String }, // Role of changedBy at the time, or 'system'
+  note: { type: String },
+  changedAt: { type: Date, default: Date.now },
+});
+
+// Define the schema for one event of the order's delivery assignment history
+const assignmentEventSchema = new mongoose.Schema({
+  action: { type: String, enum: ['assigned', 'reassigned', 'unassigned', 'accepted', 'rejected'], required: true },
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // The agent the event is about
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Who did it (admin, or the agent themselves); empty if automatic
+  note: { type: String },
+  at: { type: Date, default: Date.now },
+});
+
+// Define the schema for a proof-of-delivery image (the file itself is kept by utils/fileStorage)
+const proofFileSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['photo', 'signature'], required: true },
+  storageKey: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number }, // Bytes
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+// How long the delivery code emailed to the customer stays valid, and how many wrong tries it allows
+const DELIVERY_CODE_HOURS = parseInt(process.env.DELIVERY_CODE_HOURS) || 24;
+const MAX_DELIVERY_CODE_ATTEMPTS = 5;
+
 // Define the main Order schema
 const orderSchema = new mongoose.Schema(
   {
@@ -29,17 +96,43 @@ const orderSchema = new mongoose.Schema(
       city: { type: String, required: true },
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
-      phone: { type: String, required: true } // RESTORED: phone field
+      phone: { type: String, required: true }, // RESTORED: phone field
+      location: { // Coordinates from utils/geocoding, used for route planning (unset if the address could not be geocoded)
+        lat: { type: Number },
+        lng: { type: Number },
+        precision: { type: String }, // How exact the point is, e.g. 'address', 'postal-code' or 'city'
+        provider: { type: String },
+        geocodedAt: { type: Date },
+      },
+    },
+    deliveryInstructions: { // Notes from the customer for the delivery agent (e.g. "leave at the back door")
+      type: String,
+      trim: true,
     },
     paymentMethod: {
       type: String,
       required: true,
     },
+    paymentIntentId: { // Stripe PaymentIntent the customer pays with, kept so it can be cancelled with the order
+      type: String,
+    },
     paymentResult: { // Details from payment gateway (e.g., PayPal, Stripe)
       id: { type: String },
       status: { type: String },
       update_time: { type: String },
       email_address: { type: String },
+      failure_code: { type: String }, // Set when a payment attempt fails or is cancelled
+      failure_message: { type: String },
+    },
+    // Outcome of the latest payment attempt ('Unpaid' until the customer tries to pay)
+    paymentStatus: {
+      type: String,
+      enum: ['Unpaid', 'Paid', 'Failed', 'Cancelled', 'Requires Action'],
+      default: 'Unpaid',
+    },
+    itemsPrice: { // Sum of item prices before discounts, tax and shipping
+      type: Number,
+      default: 0.0,
     },
     taxPrice: {
       type: Number,
@@ -51,6 +144,17 @@ const orderSchema = new mongoose.Schema(
       required: true,
       default: 0.0,
     },
+    // Promo code applied at checkout (see Coupon model)
+    couponCode: {
+      type: String,
+    },
+    couponReleasedAt: { // Set when the coupon use is given back (order cancelled, payment failed or hold expired)
+      type: Date,
+    },
+    discountPrice: { // Total discount from the coupon (item discount + waived shipping)
+      type: Number,
+      default: 0.0,
+    },
     totalPrice: {
       type: Number,
       required: true,
@@ -72,24 +176,320 @@ const orderSchema = new mongoose.Schema(
     deliveredAt: {
       type: Date,
     },
+    // Refund history and running total (kept in sync with Stripe by the charge.refunded webhook)
+    refunds: [refundSchema],
+    refundedAmount: {
+      type: Number,
+      default: 0.0,
+    },
+    isRefunded: { // True once the whole order total has been refunded
+      type: Boolean,
+      default: false,
+    },
+    refundedAt: {
+      type: Date,
+    },
     // Order status for delivery agents/admin
-    orderStatus: {
+    orderStatus: { // Change with transitionStatus(); only ORDER_STATUS_TRANSITIONS are accepted on save
       type: String,
-      enum: ['Pending', 'Processing', 'Out for Delivery', 'Delivered', 'Cancelled'],
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS),
       default: 'Pending',
     },
-    // Optional: For delivery agent assignment
+    statusHistory: [statusChangeSchema], // Every status change, oldest first
+
+    // Delivery agent assignment (change with assignAgent(), unassignAgent() and acceptAssignment())
     deliveryAgent: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User', // Reference to a user with 'delivery-agent' role
       default: null
     },
+    assignmentStatus: { // Assigned = waiting for the agent to accept or reject
+      type: String,
+      enum: ['Unassigned', 'Assigned', 'Accepted'],
+      default: 'Unassigned'
+    },
+    assignedAt: { type: Date },
+    acceptedAt: { type: Date },
+    assignmentHistory: [assignmentEventSchema], // Every assignment change, oldest first
+
+    // Proof of delivery: a one-time code emailed to the customer when the order goes out for delivery,
+    // which the agent enters at the door, plus optional photos or a signature
+    deliveryCodeHash: { type: String, select: false }, // SHA-256 hash of the code (never the code itself)
+    deliveryCodeExpiresAt: { type: Date },
+    deliveryCodeSentAt: { type: Date },
+    deliveryCodeAttempts: { type: Number, default: 0 }, // Wrong codes entered since the code was sent
+    lastLocation: { // Newest GPS ping of the agent while out for delivery (the full trail is in LocationPing)
+      lat: { type: Number },
+      lng: { type: Number },
+      accuracy: { type: Number },
+      recordedAt: { type: Date },
+    },
+    proofOfDelivery: {
+      method: { type: String, enum: ['code', 'admin'] }, // 'admin' = marked delivered by staff without the code
+      verifiedAt: { type: Date },
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      files: [proofFileSchema],
+    },
+    // Reserved delivery window (see DeliverySlot model)
+    deliverySlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot',
+      default: null
+    },
+    // Set when the slot reservation is given back (order cancelled or payment failed)
+    deliverySlotReleasedAt: {
+      type: Date,
+    },
+    // Delivery zone the address was in when the order was placed (null if no zones were set up)
+    deliveryZone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone',
+      default: null
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt fields
   }
 );
 
+// The delivery code hash is only ever needed for checking a code, never in a response
+orderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.deliveryCodeHash;
+    return ret;
+  },
+});
+
+// Order listings: a customer's own orders, and the admin list filtered by status
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ orderStatus: 1, createdAt: -1 });
+orderSchema.index({ deliveryAgent: 1, orderStatus: 1 }); // An agent's orders, and the unassigned queue
+
+// --- Remember what the order was loaded with, so a save can check the transition and tell what changed ---
+const rememberSavedState = (order) => {
+  order.$locals.savedStatus = order.orderStatus;
+  order.$locals.savedIsPaid = order.isPaid;
+  order.$locals.savedDeliveryAgent = order.deliveryAgent;
+  order.$locals.savedAssignmentCount = order.assignmentHistory.length;
+};
+
+orderSchema.post('init', function() {
+  this.$locals.loadedStatus = this.orderStatus;
+  rememberSavedState(this);
+});
+
+orderSchema.pre('save', function() {
+  this.$locals.wasNew = this.isNew;
+});
+
+// --- Enforce status transitions, record them in statusHistory and keep the derived flags in sync ---
+// transitionStatus() records its own changes; this also catches orderStatus being assigned directly.
+orderSchema.pre('validate', function() {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.orderStatus, changedBy: this.user, actorRole: 'customer', note: 'Order placed' });
+  } else if (!this.isNew && this.isModified('orderStatus')) {
+    const from = this.$locals.loadedStatus;
+    if (from && from !== this.orderStatus) {
+      if (!ORDER_STATUS_TRANSITIONS[from].includes(this.orderStatus)) {
+        this.invalidate('orderStatus', `Cannot change order status from '${from}' to '${this.orderStatus}'`, this.orderStatus);
+        return;
+      }
+      this.statusHistory.push({ from, to: this.orderStatus, actorRole: 'system' });
+      this.$locals.loadedStatus = this.orderStatus;
+    }
+  }
+
+  // Delivery flags follow the status
+  if (this.orderStatus === 'Delivered') {
+    this.isDelivered = true;
+    this.deliveredAt = this.deliveredAt || new Date();
+  } else {
+    this.isDelivered = false;
+    this.deliveredAt = undefined;
+  }
+
+  // isPaid and paymentStatus describe the same thing; whichever was set, update the other
+  if (this.isModified('paymentStatus') && this.paymentStatus === 'Paid') {
+    this.isPaid = true;
+  } else if (this.isModified('isPaid') && this.isPaid) {
+    this.paymentStatus = 'Paid';
+  }
+  if (this.isPaid && !this.paidAt) {
+    this.paidAt = new Date();
+  }
+});
+
+// --- Tell live listeners (see utils/orderEvents) what a save changed, wherever it was made ---
+// Every event carries the order summary, so listeners (e.g. the staff WebSocket) can filter without a lookup.
+// Saves inside a transaction only publish once the caller commits and calls flushOrderEvents(session).
+orderSchema.post('save', function() {
+  const session = this.$session();
+  const summary = {
+    user: this.user,
+    orderStatus: this.orderStatus,
+    totalPrice: this.totalPrice,
+    isPaid: this.isPaid,
+    deliveryAgent: this.deliveryAgent,
+  };
+
+  if (this.$locals.wasNew) {
+    publishOrderEventOnCommit(session, this._id, 'created', { ...summary, createdAt: this.createdAt });
+  } else {
+    const previous = this.$locals.savedStatus;
+    if (previous && previous !== this.orderStatus) {
+      const change = this.statusHistory[this.statusHistory.length - 1];
+      publishOrderEventOnCommit(session, this._id, 'status', {
+        ...summary,
+        from: previous,
+        to: this.orderStatus,
+        note: change ? change.note : undefined,
+        changedAt: change ? change.changedAt : new Date(),
+      });
+    }
+    if (!this.$locals.savedIsPaid && this.isPaid) {
+      publishOrderEventOnCommit(session, this._id, 'paid', { ...summary, paidAt: this.paidAt });
+    }
+    for (const entry of this.assignmentHistory.slice(this.$locals.savedAssignmentCount || 0)) {
+      publishOrderEventOnCommit(session, this._id, 'assignment', {
+        ...summary,
+        action: entry.action,
+        agent: entry.agent,
+        previousAgent: this.$locals.savedDeliveryAgent,
+        note: entry.note,
+        at: entry.at,
+      });
+    }
+  }
+
+  this.$locals.wasNew = false;
+  this.$locals.loadedStatus = this.orderStatus;
+  rememberSavedState(this);
+});
+
+// --- Whether the order may move to a status from its current one ---
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(status);
+};
+
+// --- Change the order status (in memory; the caller saves). Returns { ok } or { error }. ---
+// actor is the user making the change (omit for automatic changes); note is shown in the timeline.
+orderSchema.methods.transitionStatus = function(status, { actor, note } = {}) {
+  if (!ORDER_STATUS_TRANSITIONS[status]) {
+    return { error: `Unknown order status '${status}'` };
+  }
+  if (!this.canTransitionTo(status)) {
+    const allowed = ORDER_STATUS_TRANSITIONS[this.orderStatus];
+    return {
+      error: `Cannot change order status from '${this.orderStatus}' to '${status}'. ` +
+        (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${this.orderStatus}' is final.`),
+    };
+  }
+
+  this.statusHistory.push({
+    from: this.orderStatus,
+    to: status,
+    changedBy: actor ? actor._id : undefined,
+    actorRole: actor ? actor.role : 'system',
+    note,
+  });
+  this.orderStatus = status;
+  this.$locals.loadedStatus = status; // Already checked and recorded
+  return { ok: true };
+};
+
+// --- Assign the order to a delivery agent, or move it to another one (in memory; the caller saves) ---
+// Returns { ok } or { error }. The agent has to accept the assignment before delivering.
+orderSchema.methods.assignAgent = function(agent, { by, note } = {}) {
+  if (FINAL_ORDER_STATUSES.includes(this.orderStatus)) {
+    return { error: `A '${this.orderStatus}' order can no longer be assigned.` };
+  }
+  if (this.deliveryAgent && this.deliveryAgent.toString() === agent._id.toString()) {
+    return { error: 'The order is already assigned to this agent.' };
+  }
+
+  this.assignmentHistory.push({ action: this.deliveryAgent ? 'reassigned' : 'assigned', agent: agent._id, by, note });
+  this.deliveryAgent = agent._id;
+  this.assignmentStatus = 'Assigned';
+  this.assignedAt = new Date();
+  this.acceptedAt = undefined;
+  return { ok: true };
+};
+
+// --- Put the order back in the unassigned queue (in memory; the caller saves) ---
+// action is 'unassigned' (by an admin or automatically) or 'rejected' (by the agent).
+orderSchema.methods.unassignAgent = function({ by, note, action = 'unassigned' } = {}) {
+  if (!this.deliveryAgent) {
+    return { error: 'The order is not assigned to an agent.' };
+  }
+
+  this.assignmentHistory.push({ action, agent: this.deliveryAgent, by, note });
+  this.deliveryAgent = null;
+  this.assignmentStatus = 'Unassigned';
+  this.assignedAt = undefined;
+  this.acceptedAt = undefined;
+  return { ok: true };
+};
+
+// --- The assigned agent accepts the order (in memory; the caller saves) ---
+orderSchema.methods.acceptAssignment = function(agent) {
+  if (!this.deliveryAgent || this.deliveryAgent.toString() !== agent._id.toString()) {
+    return { error: 'The order is not assigned to you.' };
+  }
+  if (this.assignmentStatus !== 'Assigned') {
+    return { error: 'You have already accepted this order.' };
+  }
+
+  this.assignmentHistory.push({ action: 'accepted', agent: agent._id, by: agent._id });
+  this.assignmentStatus = 'Accepted';
+  this.acceptedAt = new Date();
+  return { ok: true };
+};
+
+// --- Create a new delivery code for the customer (returns the plain code to email; the caller saves) ---
+orderSchema.methods.createDeliveryCode = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.deliveryCodeHash = crypto.createHash('sha256').update(code).digest('hex');
+  this.deliveryCodeExpiresAt = new Date(Date.now() + DELIVERY_CODE_HOURS * 60 * 60 * 1000);
+  this.deliveryCodeSentAt = new Date();
+  this.deliveryCodeAttempts = 0;
+  return code;
+};
+
+// --- Check the code the agent entered (deliveryCodeHash must be selected). Returns { ok } or { error }. ---
+// A wrong code is counted straight away in the database, so the limit holds even if the order isn't saved.
+orderSchema.methods.checkDeliveryCode = async function(code) {
+  if (!this.deliveryCodeHash) {
+    return { error: 'No delivery code has been sent for this order.' };
+  }
+  if (this.deliveryCodeExpiresAt < new Date()) {
+    return { error: 'The delivery code has expired. Send the customer a new one.' };
+  }
+  if (this.deliveryCodeAttempts >= MAX_DELIVERY_CODE_ATTEMPTS) {
+    return { error: 'Too many wrong delivery codes. Send the customer a new one.' };
+  }
+
+  const hashed = crypto.createHash('sha256').update(String(code || '').trim()).digest('hex');
+  if (hashed !== this.deliveryCodeHash) {
+    await this.constructor.updateOne({ _id: this._id }, { $inc: { deliveryCodeAttempts: 1 } });
+    this.deliveryCodeAttempts += 1;
+    return { error: 'Invalid delivery code.' };
+  }
+
+  this.deliveryCodeHash = undefined; // One-time use
+  this.deliveryCodeExpiresAt = undefined;
+  return { ok: true };
+};
+
+// --- Whether the customer may see where the agent is: only while the order is on its way to them ---
+orderSchema.methods.isLocationSharedWithCustomer = function() {
+  return this.orderStatus === 'Out for Delivery';
+};
+
+orderSchema.plugin(auditTrailPlugin, { redact: ['deliveryCodeHash'] });
+
 const Order = mongoose.model('Order', orderSchema);
 
+Order.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+Order.FINAL_ORDER_STATUSES = FINAL_ORDER_STATUSES;
+
 module.exports = Order;
\ No newline at end of file
@@ -1,6 +1,7 @@
 // models/Product.js
 
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 const productSchema = new mongoose.Schema({
   // Basic Product Details
@@ -26,6 +27,12 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock quantity cannot be negative'], // Ensure stock is not negative
     default: 0 // Default to 0 if not provided
   },
+  // Shipping weight in kg (used by weight-tiered shipping zones)
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: 0
+  },
   // Categorization
   category: {
     type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +75,8 @@ const productSchema = new mongoose.Schema({
 });
 
 // Create the Mongoose Model from the Schema
+productSchema.plugin(auditTrailPlugin);
+
 const Product = mongoose.model('Product', productSchema); // <--- Make sure this line exists!
 
 module.exports = Product; // <--- THIS LINE IS CRUCIAL AND MUST BE PRESENT!
\ No newline at end of file
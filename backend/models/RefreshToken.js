@@ -0,0 +1,124 @@
+// backend/models/RefreshToken.js
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a refresh token (and so a login session) lasts without being used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// One refresh token issued to a user. Every login starts a new session; each refresh
+// replaces the token with a new one in the same session, so only the newest token of a
+// session is ever un-revoked. Access tokens carry the session id, which lets 'protect'
+// reject them as soon as the session is revoked (logout, block, password reset).
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { // SHA-256 hash of the token (the token itself is only ever sent to the client)
+    type: String,
+    required: true,
+    unique: true
+  },
+  sessionId: { // Shared by all tokens created from the same login
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  twoFactorVerified: { // The login completed a 2FA challenge (carried over on rotation)
+    type: Boolean,
+    default: false
+  },
+  revokedAt: { type: Date },
+  revokedReason: { type: String }, // e.g. 'rotated', 'logout', 'logout_all', 'blocked', 'password_reset', 'reuse_detected'
+  createdByIp: { type: String },
+  userAgent: { type: String },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+refreshTokenSchema.index({ sessionId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes tokens a day after they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// --- Create a refresh token. Returns { token, sessionId }; the plain token is not stored. ---
+refreshTokenSchema.statics.issue = async function(userId, { sessionId, twoFactorVerified = false, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const record = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    sessionId: sessionId || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    twoFactorVerified,
+    createdByIp: ip,
+    userAgent,
+  });
+  return { token, sessionId: record.sessionId };
+};
+
+// --- Exchange a refresh token for a new one in the same session ---
+// Returns { token, sessionId, user } or { error }. Presenting a token that was already
+// rotated means it was stolen (or replayed), so the whole session is revoked.
+refreshTokenSchema.statics.rotate = async function(token, { ip, userAgent } = {}) {
+  const tokenHash = hashToken(token);
+
+  // The atomic revoke makes sure two parallel refreshes can't both succeed with the same token
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+    if (existing && existing.revokedReason === 'rotated') {
+      await this.revokeSession(existing.sessionId, 'reuse_detected');
+    }
+    return { error: 'Refresh token is invalid or has expired. Please log in again.' };
+  }
+
+  const next = await this.issue(current.user, {
+    sessionId: current.sessionId,
+    twoFactorVerified: current.twoFactorVerified,
+    ip,
+    userAgent,
+  });
+  return { ...next, user: current.user };
+};
+
+// --- Revoke every token of one session (logout) ---
+refreshTokenSchema.statics.revokeSession = function(sessionId, reason) {
+  return this.updateMany(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// --- Revoke every session of a user (logout all devices, block, password reset) ---
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// --- Mark a session as 2FA-verified (e.g. right after the user enables 2FA in it) ---
+refreshTokenSchema.statics.markSessionTwoFactorVerified = function(sessionId) {
+  return this.updateMany({ sessionId, revokedAt: null }, { $set: { twoFactorVerified: true } });
+};
+
+// --- The session's current token, or null if the session has ended (checked by 'protect' on every request) ---
+refreshTokenSchema.statics.findActiveSession = function(sessionId) {
+  return this.findOne({ sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }).select('sessionId twoFactorVerified');
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,146 @@
+// backend/models/Role.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Every permission a role can be given. Routes check these (see authorizePermissions), never role names.
+const PERMISSIONS = {
+  'orders:read': 'View every order',
+  'orders:update': 'Change the status and delivery agent of any order',
+  'orders:delete': 'Delete orders',
+  'orders:refund': 'Refund paid orders',
+  'deliveries:update': 'Update the status of orders assigned to yourself',
+  'products:write': 'Create and edit products',
+  'products:delete': 'Delete products',
+  'inventory:read': 'View stock levels and low-stock reports',
+  'categories:write': 'Create, edit and delete categories',
+  'coupons:manage': 'Manage coupons',
+  'pricing:manage': 'Manage tax rates and shipping zones',
+  'delivery-slots:manage': 'Manage delivery windows',
+  'delivery-zones:manage': 'Manage the areas orders can be delivered to',
+  'payments:webhooks': 'View and replay Stripe webhook events',
+  'reports:read': 'View dashboards and sales reports',
+  'users:read': 'View user accounts and their login history',
+  'users:write': 'Edit user accounts',
+  'users:block': 'Block, unblock and unlock user accounts',
+  'users:delete': 'Delete user accounts',
+  'roles:manage': 'Create and edit roles and change which role a user has',
+  'audit:read': 'View the audit log of changes made by staff',
+};
+
+// The admin role always has every permission, so admins can't lock themselves out by editing it
+const SUPER_ROLE = 'admin';
+
+// Roles created on startup if missing. Existing roles are never overwritten, so admin edits are kept
+// (new permissions reach them through PERMISSION_UPGRADES below).
+const DEFAULT_ROLES = [
+  { name: 'admin', description: 'Full access to everything', permissions: Object.keys(PERMISSIONS), isSystem: true },
+  { name: 'customer', description: 'Shops and places orders', permissions: [], isSystem: true },
+  { name: 'delivery-agent', description: 'Delivers assigned orders', permissions: ['deliveries:update'], isSystem: true },
+  {
+    name: 'store-manager',
+    description: 'Runs the store day to day',
+    permissions: [
+      'orders:read', 'orders:update', 'orders:refund', 'products:write', 'products:delete', 'inventory:read',
+      'categories:write', 'coupons:manage', 'delivery-slots:manage', 'delivery-zones:manage', 'reports:read', 'users:read',
+    ],
+  },
+  {
+    name: 'inventory-clerk',
+    description: 'Keeps the catalogue and stock up to date',
+    permissions: ['products:write', 'inventory:read', 'categories:write'],
+  },
+  {
+    name: 'support-agent',
+    description: 'Helps customers with their orders and accounts',
+    permissions: ['orders:read', 'orders:refund', 'users:read', 'users:block'],
+  },
+];
+
+// Permissions added to a default role after it may already exist in a database. Each upgrade is applied to the
+// role once (recorded in appliedUpgrades), so a permission an admin removes later stays removed.
+const PERMISSION_UPGRADES = [
+  { id: 'delivery-zones', role: 'store-manager', permissions: ['delivery-zones:manage'] },
+];
+
+// Permissions are read on every authenticated request, so they are cached briefly in memory.
+// Changes made through this process clear the cache at once; other instances pick them up within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+let permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+  name: { // Stored on User.role
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(permission => PERMISSIONS[permission]),
+      message: props => `Unknown permission in: ${props.value.join(', ')}`
+    }
+  },
+  isSystem: { // Built-in roles can't be renamed or deleted
+    type: Boolean,
+    default: false
+  },
+  appliedUpgrades: { // Ids of the PERMISSION_UPGRADES already given to this role
+    type: [String],
+    default: []
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+roleSchema.post('save', () => { permissionCache = new Map(); });
+roleSchema.post('findOneAndUpdate', () => { permissionCache = new Map(); });
+roleSchema.post('deleteOne', { document: true, query: false }, () => { permissionCache = new Map(); });
+
+// --- Create any missing default roles and apply pending permission upgrades (called once the database is connected) ---
+roleSchema.statics.ensureDefaultRoles = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true });
+  }
+  for (const upgrade of PERMISSION_UPGRADES) {
+    await this.updateOne(
+      { name: upgrade.role, appliedUpgrades: { $ne: upgrade.id } },
+      { $addToSet: { permissions: { $each: upgrade.permissions }, appliedUpgrades: upgrade.id } }
+    );
+  }
+  permissionCache = new Map();
+};
+
+// --- The permissions of a role by name (empty for an unknown role) ---
+roleSchema.statics.getPermissions = async function(name) {
+  if (name === SUPER_ROLE) {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+roleSchema.plugin(auditTrailPlugin);
+
+const Role = mongoose.model('Role', roleSchema);
+
+Role.PERMISSIONS = PERMISSIONS;
+Role.SUPER_ROLE = SUPER_ROLE;
+
+module.exports = Role;
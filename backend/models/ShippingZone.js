@@ -0,0 +1,80 @@
+// backend/models/ShippingZone.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Weight or item-count tier: applies while the measured value is <= upTo
+const shippingTierSchema = new mongoose.Schema({
+  upTo: { type: Number, required: true, min: 0 },
+  fee: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+// Shipping fee rules for a set of postal codes
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true
+  },
+  country: { // Optional; if set, the zone only matches addresses in this country
+    type: String,
+    trim: true,
+    default: null
+  },
+  postalCodePrefixes: { // e.g. ['100', '101']; the longest matching prefix wins
+    type: [String],
+    default: []
+  },
+  isDefault: { // Fallback zone when no postal-code zone matches
+    type: Boolean,
+    default: false
+  },
+  baseFee: {
+    type: Number,
+    required: [true, 'Base fee is required'],
+    min: [0, 'Base fee cannot be negative']
+  },
+  freeShippingThreshold: { // Items subtotal at or above which shipping is free (null = never)
+    type: Number,
+    default: null,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  tierBasis: { // What the tiers are measured against
+    type: String,
+    enum: ['none', 'weight', 'itemCount'],
+    default: 'none'
+  },
+  tiers: {
+    type: [shippingTierSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+// --- Calculates the shipping fee for a basket in this zone ---
+shippingZoneSchema.methods.calculateFee = function({ itemsPrice, totalWeight, itemCount }) {
+  if (this.freeShippingThreshold !== null && itemsPrice >= this.freeShippingThreshold) {
+    return 0;
+  }
+
+  if (this.tierBasis === 'none' || this.tiers.length === 0) {
+    return this.baseFee;
+  }
+
+  const measured = this.tierBasis === 'weight' ? totalWeight : itemCount;
+  const tiers = [...this.tiers].sort((a, b) => a.upTo - b.upTo);
+  const tier = tiers.find(t => measured <= t.upTo) || tiers[tiers.length - 1]; // Heavier/larger baskets pay the top tier
+  return tier.fee;
+};
+
+shippingZoneSchema.plugin(auditTrailPlugin);
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
@@ -0,0 +1,121 @@
+// backend/models/StockReservation.js
+
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const { runWithoutAudit } = require('../utils/auditTrail');
+
+// How long an unpaid order may hold stock before the sweeper gives it back
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES) || 30;
+
+// Stock held for an order. Product.stockQuantity is the quantity still available to sell, so:
+//   held      -> stock already taken out of stockQuantity, waiting for payment (expires at expiresAt)
+//   committed -> payment succeeded, the stock is sold for good
+//   released  -> stock returned to stockQuantity (order cancelled, payment failed or hold expired)
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true // One reservation per order (re-used if the order holds stock again)
+  },
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  }],
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }, // e.g. 'cancelled', 'payment_failed', 'expired'
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+// Stock moves with every order, so Product.stockQuantity changes made here are kept out of the audit log
+const changeStock = (productId, quantity, filter, session) => runWithoutAudit(() =>
+  Product.updateOne({ _id: productId, ...filter }, { $inc: { stockQuantity: quantity } }, { session }).exec()
+);
+
+// Used by the sweeper to find stale holds
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const holdExpiry = () => new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+// --- Hold stock for an order's items ---
+// All or nothing: if one item is short, the items already taken are put back before returning.
+// If the order already holds stock, the hold is simply extended. Returns { ok, message }.
+stockReservationSchema.statics.hold = async function(order, session) {
+  let reservation = await this.findOne({ order: order._id }).session(session);
+
+  if (reservation && reservation.status === 'committed') {
+    return { ok: true };
+  }
+  if (reservation && reservation.status === 'held') {
+    reservation.expiresAt = holdExpiry();
+    await reservation.save({ session });
+    return { ok: true };
+  }
+
+  const taken = [];
+  for (const item of order.orderItems) {
+    const result = await changeStock(item.product, -item.quantity, { stockQuantity: { $gte: item.quantity } }, session);
+    if (result.modifiedCount === 0) {
+      for (const takenItem of taken) {
+        await changeStock(takenItem.product, takenItem.quantity, {}, session);
+      }
+      return { ok: false, message: `Insufficient stock for ${item.name}. Requested: ${item.quantity}` };
+    }
+    taken.push(item);
+  }
+
+  if (!reservation) {
+    reservation = new this({ order: order._id });
+  }
+  reservation.items = order.orderItems.map(item => ({ product: item.product, quantity: item.quantity }));
+  reservation.status = 'held';
+  reservation.expiresAt = holdExpiry();
+  reservation.releasedAt = undefined;
+  reservation.releaseReason = undefined;
+  await reservation.save({ session });
+
+  return { ok: true };
+};
+
+// --- Mark a held reservation as sold (payment succeeded). Returns true if it was held. ---
+stockReservationSchema.statics.commitForOrder = async function(orderId, session) {
+  const reservation = await this.findOneAndUpdate(
+    { order: orderId, status: 'held' },
+    { $set: { status: 'committed', committedAt: new Date() } },
+    { new: true, session }
+  );
+  return !!reservation;
+};
+
+// --- Return held stock to inventory. Committed stock is never released here (use a refund with restock). ---
+// The status flip is atomic, so the sweeper and a webhook can't both give the same stock back.
+stockReservationSchema.statics.releaseForOrder = async function(orderId, reason, session) {
+  const reservation = await this.findOneAndUpdate(
+    { order: orderId, status: 'held' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true, session }
+  );
+  if (!reservation) {
+    return false;
+  }
+
+  for (const item of reservation.items) {
+    await changeStock(item.product, item.quantity, {}, session);
+  }
+  return true;
+};
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
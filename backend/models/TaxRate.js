@@ -0,0 +1,39 @@
+// backend/models/TaxRate.js
+
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Tax rate for a country, optionally narrowed to a region (matched against shippingAddress.city)
+const taxRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  region: { // Optional city/region; a region rule wins over the country-wide rule
+    type: String,
+    trim: true,
+    default: null
+  },
+  rate: { // Fraction, e.g. 0.05 for 5%
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate must be a fraction between 0 and 1']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+// One rule per country/region pair (matched case-insensitively)
+taxRateSchema.index({ country: 1, region: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+taxRateSchema.plugin(auditTrailPlugin);
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+module.exports = TaxRate;
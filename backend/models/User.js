@@ -1,7 +1,16 @@
 // backend/models/User.js
 
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 const bcrypt = require('bcryptjs'); // For password hashing
+const crypto = require('crypto'); // For password reset tokens
+const { verifyTotp } = require('../utils/totp');
+
+// Progressive lockout: after MAX_FAILED_LOGINS wrong passwords (or 2FA codes) in a row the account is
+// locked, for twice as long each time it happens again before a successful login (15 min, 30 min, 1 h ... 24 h)
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -17,9 +26,10 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
-  role: {
+  role: { // Name of a Role document; its permissions decide what the user may do
     type: String,
-    enum: ['customer', 'admin', 'delivery-agent'],
+    trim: true,
+    lowercase: true,
     default: 'customer'
   },
   firstName: {
@@ -44,6 +54,13 @@ const userSchema = new mongoose.Schema({
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
       isDefault: { type: Boolean, default: false }, // For primary address
+      location: { // Coordinates from utils/geocoding, used for route planning (unset if the address could not be geocoded)
+        lat: { type: Number },
+        lng: { type: Number },
+        precision: { type: String }, // How exact the point is, e.g. 'address', 'postal-code' or 'city'
+        provider: { type: String },
+        geocodedAt: { type: Date },
+      },
     },
   ],
   // --- END RE-ADDED ---
@@ -51,6 +68,52 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // --- EMAIL VERIFICATION ---
+  isEmailVerified: { // Ordering and payment are blocked until this is true (see requireVerifiedEmail); see markLegacyEmailsVerified
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date, // Last verification email, used to throttle resends
+  // --- TWO-FACTOR AUTHENTICATION (admins and delivery agents) ---
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: { type: String, select: false }, // Base32 TOTP secret, set once enrollment is confirmed
+  twoFactorPendingSecret: { type: String, select: false }, // Secret waiting for the first code during enrollment
+  twoFactorBackupCodes: { type: [String], select: false }, // SHA-256 hashes of unused one-time backup codes
+  twoFactorEnabledAt: Date,
+  twoFactorLastUsedStep: Number, // TOTP time step of the last accepted code; codes from it or earlier can't be used again
+  // --- DELIVERY AGENT AVAILABILITY ---
+  isOnShift: { // Only on-shift agents can be given new orders
+    type: Boolean,
+    default: false,
+  },
+  shiftStartedAt: Date,
+  shiftEndedAt: Date,
+  maxActiveDeliveries: { // Most undelivered orders automatic dispatch gives the agent (unset = AGENT_DEFAULT_CAPACITY)
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+  },
+  servicePostalCodes: { // Postal-code prefixes the agent delivers to (empty = everywhere), e.g. ['SW1', '10001']
+    type: [String],
+    default: [],
+  },
+  // --- LOGIN LOCKOUT ---
+  failedLoginAttempts: { // Consecutive failures since the last successful login or lockout
+    type: Number,
+    default: 0,
+  },
+  lockoutCount: { // Lockouts since the last successful login (drives the lock duration)
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  // --- PASSWORD RESET ---
+  passwordChangedAt: Date, // Tokens issued before this are rejected by 'protect'
+  passwordResetToken: { type: String, select: false }, // SHA-256 hash of the emailed token (never the token itself)
+  passwordResetExpires: { type: Date, select: false },
 }, {
   timestamps: true
 });
@@ -62,6 +125,10 @@ userSchema.pre('save', async function(next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    // Backdate by a second so a token issued right after the change is still accepted
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -70,6 +137,115 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// --- Method to check if the password was changed after a JWT was issued ---
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// --- Method to check if the account is currently locked after too many failed logins ---
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// --- Method to count a failed login. Returns the lock end date if this failure locked the account, else null. ---
+// Uses atomic updates so attempts made in parallel (e.g. from many IPs) are all counted.
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockoutCount, MAX_LOCK_MINUTES);
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  const locked = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockoutCount: 1 } }
+  );
+  return locked.modifiedCount > 0 ? lockUntil : null;
+};
+
+// --- Method to clear the failure counters after a successful login ---
+userSchema.methods.resetLoginFailures = function() {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) {
+    return Promise.resolve();
+  }
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+// --- Method to create new 2FA backup codes (returns the plain codes to show once; replaces any old ones) ---
+userSchema.methods.generateTwoFactorBackupCodes = function() {
+  const codes = Array.from({ length: 10 }, () => crypto.randomBytes(5).toString('hex'));
+  this.twoFactorBackupCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+  return codes;
+};
+
+// --- Method to check an authenticator code and use it up (the secret must be selected). Returns true if it was valid. ---
+// The step is claimed in the database, so the same code can't pass twice, not even in two requests at once.
+userSchema.methods.useTwoFactorCode = async function(code, secret = this.twoFactorSecret) {
+  const step = verifyTotp(secret, code, this.twoFactorLastUsedStep);
+  if (step === null) {
+    return false;
+  }
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+  this.twoFactorLastUsedStep = step;
+  this.unmarkModified('twoFactorLastUsedStep'); // Already stored; a later save must not overwrite a newer step
+  return true;
+};
+
+// --- Method to use up a 2FA backup code (twoFactorBackupCodes must be selected). Returns true if it was valid. ---
+// Like authenticator codes, the code is claimed in the database, so two requests can't both use it.
+userSchema.methods.useTwoFactorBackupCode = async function(code) {
+  const hashed = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactorBackupCodes || []).indexOf(hashed);
+  if (index === -1) {
+    return false;
+  }
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, twoFactorBackupCodes: hashed },
+    { $pull: { twoFactorBackupCodes: hashed } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return false;
+  }
+  this.twoFactorBackupCodes.splice(index, 1);
+  this.unmarkModified('twoFactorBackupCodes'); // Already stored; a later save must not bring back codes used meanwhile
+  return true;
+};
+
+// --- Method to create a one-time password reset token (returns the plain token to email) ---
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 15 * 60 * 1000); // Valid for 15 minutes
+  return resetToken;
+};
+
+// --- Accounts created before email verification existed have no isEmailVerified field: treat them as verified ---
+userSchema.statics.markLegacyEmailsVerified = function() {
+  return this.updateMany({ isEmailVerified: { $exists: false } }, { $set: { isEmailVerified: true } });
+};
+
+// Secrets are never written to the audit log
+userSchema.plugin(auditTrailPlugin, {
+  redact: ['password', 'passwordResetToken', 'passwordResetExpires', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorBackupCodes'],
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
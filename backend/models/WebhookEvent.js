@@ -0,0 +1,66 @@
+// backend/models/WebhookEvent.js
+
+const mongoose = require('mongoose');
+
+// An event still 'processing' after this long is assumed abandoned (e.g. the process crashed) and can be claimed again
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Every Stripe event received by /api/payments/webhook, so retries can be de-duplicated
+// and failed events can be inspected and replayed by support.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { // Stripe's event id (evt_...)
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: { // e.g. 'payment_intent.succeeded'
+    type: String,
+    required: true
+  },
+  payload: { // The full verified event as received from Stripe
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: { // Number of times processing was started (first delivery, Stripe retries, replays)
+    type: Number,
+    default: 1
+  },
+  result: { // Short note on what processing did (e.g. 'Order already paid')
+    type: String
+  },
+  error: { // Message of the last failure
+    type: String
+  },
+  processedAt: {
+    type: Date
+  },
+  lastReplayedBy: { // Admin who last replayed the event
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+// --- Query for events that may be (re)processed: failed ones, and ones whose processing was abandoned ---
+// Claiming an event updates it, which renews updatedAt and so the lease.
+webhookEventSchema.statics.claimableFilter = function() {
+  return {
+    $or: [
+      { status: 'failed' },
+      { status: 'processing', updatedAt: { $lte: new Date(Date.now() - PROCESSING_LEASE_MS) } },
+    ],
+  };
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -5,12 +5,14 @@ const router = express.Router();
 const User = require('../models/User'); // Import User model
 const Product = require('../models/Product'); // Import Product model
 const Order = require('../models/Order'); // Import Order model
-const { protect, authorizeRoles } = require('../middleware/authMiddleware'); // Import auth middleware
+const AuditLog = require('../models/AuditLog'); // Import AuditLog model
+const mongoose = require('mongoose');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware'); // Import auth middleware
 
 // @desc    Get consolidated admin dashboard summary data
 // @route   GET /api/admin/dashboard-summary
 // @access  Private/Admin
-router.get('/dashboard-summary', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/dashboard-summary', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     // Define date ranges for recent data (e.g., last 30 days)
     const thirtyDaysAgo = new Date();
@@ -112,4 +114,58 @@ router.get('/dashboard-summary', protect, authorizeRoles('admin'), async (req, r
   }
 });
 
+// @desc    Search the audit log of changes made by staff (newest first, paginated)
+// @route   GET /api/admin/audit-logs
+// @query   actor, action, targetModel, targetId, from, to (ISO dates), page, limit
+// @access  Private (audit:read)
+router.get('/audit-logs', protect, authorizePermissions('audit:read'), async (req, res) => {
+  try {
+    const { actor, action, targetModel, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+    for (const [name, value] of [['actor', actor], ['targetId', targetId]]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${name} ID format` });
+      }
+    }
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      entries,
+      page: pageNumber,
+      pages: Math.ceil(totalEntries / pageSize),
+      totalEntries,
+      limit: pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
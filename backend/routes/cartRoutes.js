@@ -0,0 +1,210 @@
+// backend/routes/cartRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { protect } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+// Helper: build the cart response with live product data (price, stock, name, image)
+// Items whose product was deleted are dropped; items with insufficient stock are flagged.
+const buildCartResponse = async (cart) => {
+  await cart.populate('items.product', 'name price images stockQuantity');
+
+  let itemsPrice = 0;
+  const items = [];
+
+  for (const item of cart.items) {
+    const product = item.product;
+    if (!product) {
+      continue; // Product no longer exists
+    }
+
+    const inStock = product.stockQuantity >= item.quantity;
+    if (inStock) {
+      itemsPrice += product.price * item.quantity;
+    }
+
+    items.push({
+      product: product._id,
+      name: product.name,
+      image: product.images && product.images.length > 0 ? product.images[0] : undefined,
+      price: product.price,
+      quantity: item.quantity,
+      stockQuantity: product.stockQuantity,
+      inStock,
+    });
+  }
+
+  return {
+    _id: cart._id,
+    user: cart.user,
+    items,
+    itemsPrice: Number(itemsPrice.toFixed(2)),
+    updatedAt: cart.updatedAt,
+  };
+};
+
+// Helper: find the user's cart, creating an empty one if it doesn't exist yet
+const getOrCreateCart = async (userId) => {
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [] });
+  }
+  return cart;
+};
+
+
+// @desc    Get the logged-in user's cart
+// @route   GET /api/cart
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+    res.json(await buildCartResponse(cart));
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Add a product to the cart (increments quantity if already present)
+// @route   POST /api/cart/items
+// @access  Private
+router.post(
+  '/items',
+  protect,
+  [
+    check('product', 'Product ID must be a valid ObjectId').custom((value) =>
+      mongoose.Types.ObjectId.isValid(value)
+    ),
+    check('quantity', 'Quantity must be a positive integer').optional().isInt({ gt: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product: productId } = req.body;
+    const quantity = req.body.quantity ? parseInt(req.body.quantity) : 1;
+
+    try {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const cart = await getOrCreateCart(req.user._id);
+      const existingItem = cart.items.find(item => item.product.toString() === productId);
+      const newQuantity = existingItem ? existingItem.quantity + quantity : quantity;
+
+      if (product.stockQuantity < newQuantity) {
+        return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${newQuantity}` });
+      }
+
+      if (existingItem) {
+        existingItem.quantity = newQuantity;
+      } else {
+        cart.items.push({ product: product._id, quantity });
+      }
+
+      await cart.save();
+      res.status(201).json(await buildCartResponse(cart));
+    } catch (error) {
+      console.error('Error adding item to cart:', error);
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Update the quantity of a product in the cart
+// @route   PUT /api/cart/items/:productId
+// @access  Private
+router.put(
+  '/items/:productId',
+  protect,
+  [
+    check('quantity', 'Quantity must be a positive integer').isInt({ gt: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+
+    try {
+      const cart = await Cart.findOne({ user: req.user._id });
+      const item = cart && cart.items.find(i => i.product.toString() === req.params.productId);
+
+      if (!item) {
+        return res.status(404).json({ message: 'Item not found in cart' });
+      }
+
+      const product = await Product.findById(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      if (product.stockQuantity < quantity) {
+        return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${quantity}` });
+      }
+
+      item.quantity = quantity;
+      await cart.save();
+      res.json(await buildCartResponse(cart));
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Remove a product from the cart
+// @route   DELETE /api/cart/items/:productId
+// @access  Private
+router.delete('/items/:productId', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const item = cart && cart.items.find(i => i.product.toString() === req.params.productId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in cart' });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+    res.json(await buildCartResponse(cart));
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Clear all items from the cart
+// @route   DELETE /api/cart
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+    cart.items = [];
+    await cart.save();
+    res.json(await buildCartResponse(cart));
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+module.exports = router;
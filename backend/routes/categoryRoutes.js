@@ -3,7 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category'); // Import the Category model
-const { protect, authorizeRoles } = require('../middleware/authMiddleware'); // Import middleware
+const { protect, authorizePermissions, requireTwoFactor } = require('../middleware/authMiddleware'); // Import middleware
 const mongoose = require('mongoose'); // For ObjectId validation
 const { check, validationResult } = require('express-validator'); // Import check and validationResult
 
@@ -57,7 +57,7 @@ router.get('/:id', async (req, res) => {
 router.post(
     '/',
     protect,
-    authorizeRoles('admin'),
+    authorizePermissions('categories:write'),
     [ // Start of validation middleware
         check('name', 'Category name is required').not().isEmpty(),
         check('name', 'Category name must be unique').custom(async (value) => {
@@ -127,7 +127,7 @@ router.post(
 router.put(
     '/:id',
     protect,
-    authorizeRoles('admin'),
+    authorizePermissions('categories:write'),
     [ // Start of validation middleware
         check('name', 'Category name must not be empty').not().isEmpty().optional(),
         check('name', 'Category name must be unique').optional().custom(async (value, { req }) => {
@@ -215,7 +215,7 @@ router.put(
 // @desc    Delete a category
 // @route   DELETE /api/categories/:id
 // @access  Private/Admin
-router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
+router.delete('/:id', protect, authorizePermissions('categories:write'), requireTwoFactor, async (req, res) => {
     try {
         // Validate category ID from params first
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -0,0 +1,156 @@
+// backend/routes/couponRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+// Shared validation for create (required fields) and update (everything optional)
+const couponValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(check('code', 'Coupon code is required').not().isEmpty()),
+    required(check('discountType', 'Discount type must be percentage, fixed or free_shipping').isIn(['percentage', 'fixed', 'free_shipping'])),
+    check('discountValue', 'Discount value must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('maxDiscountAmount', 'Maximum discount must be a non-negative number').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('minOrderAmount', 'Minimum order amount must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('startsAt', 'Start date must be a valid date').optional({ values: 'null' }).isISO8601(),
+    check('expiresAt', 'Expiry date must be a valid date').optional({ values: 'null' }).isISO8601(),
+    check('usageLimit', 'Usage limit must be a positive integer').optional({ values: 'null' }).isInt({ min: 1 }),
+    check('perUserLimit', 'Per-user limit must be a positive integer').optional({ values: 'null' }).isInt({ min: 1 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+    check('description', 'Description must be a string').optional().isString(),
+  ];
+};
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscountAmount', 'minOrderAmount',
+  'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+
+// @desc    Get all coupons (Admin only)
+// @route   GET /api/coupons
+// @access  Private/Admin
+router.get('/', protect, authorizePermissions('coupons:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @desc    Get coupon by ID (Admin only)
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorizePermissions('coupons:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID format' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error fetching coupon by ID:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @desc    Create a new coupon (Admin only)
+// @route   POST /api/coupons
+// @access  Private/Admin
+router.post('/', protect, authorizePermissions('coupons:manage'), couponValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const data = {};
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const createdCoupon = await Coupon.create(data);
+    res.status(201).json(createdCoupon);
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists.' });
+    }
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Update a coupon (Admin only)
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorizePermissions('coupons:manage'), couponValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID format' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    const updatedCoupon = await coupon.save();
+    res.json(updatedCoupon);
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists.' });
+    }
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Delete a coupon (Admin only)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorizePermissions('coupons:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID format' });
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon removed' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,660 @@
+// backend/routes/deliveryRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DispatchDecision = require('../models/DispatchDecision');
+const LocationPing = require('../models/LocationPing');
+const { protect, authorizePermissions, authorizeAnyPermission } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const {
+  DELIVERY_AGENT_ROLE,
+  normalizePostalCode,
+  agentCapacity,
+  findAssignableAgent,
+  countActiveOrders,
+  sendAssignmentEmail,
+} = require('../utils/deliveryAgents');
+const { MAX_PROOF_FILE_BYTES, sendDeliveryCodeEmail, storeProofFile, readProofFile } = require('../utils/deliveryProof');
+const { getFileStorage } = require('../utils/fileStorage');
+const { runWithoutAudit } = require('../utils/auditTrail');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { autoDispatchOrder } = require('../utils/autoDispatch');
+
+// A new delivery code can be requested at most this often per order
+const DELIVERY_CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Helper: load the order in req.params.id, or send the error response and return null
+const findOrderOr404 = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid order ID format' });
+    return null;
+  }
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({ message: 'Order not found' });
+    return null;
+  }
+  return order;
+};
+
+// Helper: whether the user is the order's delivery agent
+const isAssignedAgent = (order, user) => !!order.deliveryAgent && order.deliveryAgent.toString() === user._id.toString();
+
+// Shared validation for the optional free-text note on assignment changes
+const noteValidator = check('note', 'Note must be a string of at most 500 characters').optional().isString().trim().isLength({ max: 500 });
+
+
+// --- AGENTS ---
+
+// @desc    List delivery agents with their shift status and how many orders they still have to deliver
+// @route   GET /api/deliveries/agents?onShift=true
+// @access  Private/Admin (orders:update)
+router.get('/agents', protect, authorizePermissions('orders:update'), async (req, res) => {
+  try {
+    const query = { role: DELIVERY_AGENT_ROLE, isBlocked: false };
+    if (req.query.onShift !== undefined) {
+      query.isOnShift = req.query.onShift === 'true';
+    }
+
+    const agents = await User.find(query)
+      .select('firstName lastName email phoneNumber isOnShift shiftStartedAt shiftEndedAt maxActiveDeliveries servicePostalCodes')
+      .sort({ isOnShift: -1, firstName: 1 })
+      .lean();
+    const activeOrders = await countActiveOrders(agents.map(agent => agent._id));
+
+    res.json(agents.map(agent => ({
+      ...agent,
+      activeOrders: activeOrders.get(agent._id.toString()) || 0,
+      capacity: agentCapacity(agent),
+    })));
+  } catch (error) {
+    console.error('Error fetching delivery agents:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Set an agent's capacity and the postal codes they deliver to (used by automatic dispatch)
+// @route   PUT /api/deliveries/agents/:id
+// @access  Private/Admin (orders:update)
+// Body: { maxActiveDeliveries?: number|null, servicePostalCodes?: string[] } - null capacity = the default, [] = everywhere
+router.put(
+  '/agents/:id',
+  protect,
+  authorizePermissions('orders:update'),
+  [
+    check('maxActiveDeliveries', 'maxActiveDeliveries must be a whole number of at least 1, or null')
+      .optional({ values: 'null' }).isInt({ min: 1, max: 100 }).toInt(),
+    check('servicePostalCodes', 'servicePostalCodes must be an array of postal-code prefixes').optional().isArray({ max: 200 }),
+    check('servicePostalCodes.*', 'Each postal-code prefix must be a non-empty string').isString().trim().notEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid agent ID format' });
+      }
+
+      const agent = await User.findById(req.params.id);
+      if (!agent || agent.role !== DELIVERY_AGENT_ROLE) {
+        return res.status(404).json({ message: 'Delivery agent not found' });
+      }
+
+      const { maxActiveDeliveries, servicePostalCodes } = req.body;
+      if (maxActiveDeliveries !== undefined) {
+        agent.maxActiveDeliveries = maxActiveDeliveries === null ? undefined : maxActiveDeliveries;
+      }
+      if (servicePostalCodes !== undefined) {
+        agent.servicePostalCodes = [...new Set(servicePostalCodes.map(normalizePostalCode))];
+      }
+      await agent.save();
+
+      res.json({
+        _id: agent._id,
+        maxActiveDeliveries: agent.maxActiveDeliveries,
+        capacity: agentCapacity(agent),
+        servicePostalCodes: agent.servicePostalCodes,
+      });
+    } catch (error) {
+      console.error('Error updating delivery agent:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Start or end your shift (agents only receive new orders while on shift)
+// @route   PUT /api/deliveries/shift
+// @access  Private (deliveries:update)
+// Ending a shift hands back the orders you haven't accepted yet (they are dispatched to other agents).
+// It is refused while an order is out for delivery.
+router.put(
+  '/shift',
+  protect,
+  authorizePermissions('deliveries:update'),
+  [check('onShift', 'onShift must be a boolean').isBoolean().toBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const agent = await User.findById(req.user._id);
+      if (agent.role !== DELIVERY_AGENT_ROLE) {
+        return res.status(403).json({ message: 'Only delivery agents have shifts.' });
+      }
+
+      const { onShift } = req.body;
+      let unaccepted = [];
+
+      if (!onShift && agent.isOnShift) {
+        const outForDelivery = await Order.countDocuments({ deliveryAgent: agent._id, orderStatus: 'Out for Delivery' });
+        if (outForDelivery > 0) {
+          return res.status(409).json({ message: `You still have ${outForDelivery} order(s) out for delivery. Deliver them or hand them back first.` });
+        }
+
+        unaccepted = await Order.find({
+          deliveryAgent: agent._id,
+          assignmentStatus: 'Assigned',
+          orderStatus: { $nin: Order.FINAL_ORDER_STATUSES },
+        });
+        for (const order of unaccepted) {
+          order.unassignAgent({ by: agent._id, note: 'Agent went off shift' });
+          await order.save();
+        }
+      }
+
+      if (onShift !== agent.isOnShift) {
+        agent.isOnShift = onShift;
+        if (onShift) {
+          agent.shiftStartedAt = new Date();
+        } else {
+          agent.shiftEndedAt = new Date();
+        }
+        await agent.save();
+      }
+
+      // Only now that the agent is off shift, so the orders go to someone else
+      for (const order of unaccepted) {
+        await autoDispatchOrder(order._id, { trigger: 'shift-ended' });
+      }
+
+      res.json({
+        isOnShift: agent.isOnShift,
+        shiftStartedAt: agent.shiftStartedAt,
+        shiftEndedAt: agent.shiftEndedAt,
+        returnedOrders: unaccepted.length,
+      });
+    } catch (error) {
+      console.error('Error updating shift:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+
+// --- ASSIGNMENT ---
+
+// @desc    Orders still waiting for a delivery agent, oldest first
+// @route   GET /api/deliveries/queue?status=Processing&page=1&limit=20
+// @access  Private/Admin (orders:read)
+router.get('/queue', protect, authorizePermissions('orders:read'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { deliveryAgent: null, orderStatus: { $nin: Order.FINAL_ORDER_STATUSES } };
+    if (status) {
+      const openStatuses = Object.keys(Order.ORDER_STATUS_TRANSITIONS).filter(s => !Order.FINAL_ORDER_STATUSES.includes(s));
+      if (!openStatuses.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${openStatuses.join(', ')}` });
+      }
+      query.orderStatus = status;
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [orders, totalOrders] = await Promise.all([
+      Order.find(query)
+        .select('user shippingAddress orderItems totalPrice isPaid orderStatus deliverySlot assignmentHistory createdAt')
+        .populate('user', 'firstName lastName email')
+        .populate('deliverySlot', 'date startTime endTime')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(pageSize),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      orders,
+      page: parseInt(page) || 1,
+      pages: Math.ceil(totalOrders / pageSize),
+      totalOrders,
+      limit: pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching unassigned orders:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Automatic dispatch decisions (who was considered, who got the order, or why nobody did), newest first
+// @route   GET /api/deliveries/dispatch-decisions?order=<orderId>&outcome=no-agent&page=1&limit=20
+// @access  Private/Admin (orders:read)
+router.get('/dispatch-decisions', protect, authorizePermissions('orders:read'), async (req, res) => {
+  try {
+    const { order, agent, outcome, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    for (const [field, value] of [['order', order], ['agent', agent]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ message: `Invalid ${field} ID format` });
+        }
+        query[field] = value;
+      }
+    }
+    if (outcome) query.outcome = outcome;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [decisions, totalDecisions] = await Promise.all([
+      DispatchDecision.find(query)
+        .populate('agent', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      DispatchDecision.countDocuments(query),
+    ]);
+
+    res.json({
+      decisions,
+      page: parseInt(page) || 1,
+      pages: Math.ceil(totalDecisions / pageSize),
+      totalDecisions,
+      limit: pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching dispatch decisions:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Assign an order to a delivery agent, or reassign it to another one
+// @route   PUT /api/deliveries/orders/:id/assign
+// @access  Private/Admin (orders:update)
+// Body: { agentId, note? } - the agent must be an on-shift delivery agent, and has to accept the order
+router.put(
+  '/orders/:id/assign',
+  protect,
+  authorizePermissions('orders:update'),
+  [check('agentId', 'agentId is required').not().isEmpty(), noteValidator],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await findOrderOr404(req, res);
+      if (!order) return;
+
+      const { agent, error } = await findAssignableAgent(req.body.agentId);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      const assignment = order.assignAgent(agent, { by: req.user._id, note: req.body.note });
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
+      await order.save();
+
+      await sendAssignmentEmail(order, agent);
+      res.json(order);
+    } catch (error) {
+      console.error('Error assigning order:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Take an order away from its agent and put it back in the queue
+// @route   DELETE /api/deliveries/orders/:id/assign
+// @access  Private/Admin (orders:update)
+router.delete('/orders/:id/assign', protect, authorizePermissions('orders:update'), [noteValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (Order.FINAL_ORDER_STATUSES.includes(order.orderStatus)) {
+      return res.status(400).json({ message: `A '${order.orderStatus}' order can no longer be unassigned.` });
+    }
+
+    const assignment = order.unassignAgent({ by: req.user._id, note: req.body && req.body.note });
+    if (assignment.error) {
+      return res.status(400).json({ message: assignment.error });
+    }
+    await order.save();
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error unassigning order:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Accept an order assigned to you
+// @route   POST /api/deliveries/orders/:id/accept
+// @access  Private (deliveries:update, the assigned agent)
+router.post('/orders/:id/accept', protect, authorizePermissions('deliveries:update'), async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (Order.FINAL_ORDER_STATUSES.includes(order.orderStatus)) {
+      return res.status(400).json({ message: `This order is already '${order.orderStatus}'.` });
+    }
+
+    const assignment = order.acceptAssignment(req.user);
+    if (assignment.error) {
+      return res.status(400).json({ message: assignment.error });
+    }
+    await order.save();
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error accepting order:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Reject an order assigned to you; it is dispatched to another agent, or goes back to the unassigned queue
+// @route   POST /api/deliveries/orders/:id/reject
+// @access  Private (deliveries:update, the assigned agent, before the order is out for delivery)
+router.post(
+  '/orders/:id/reject',
+  protect,
+  authorizePermissions('deliveries:update'),
+  [check('reason', 'Reason must be a string of at most 500 characters').optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await findOrderOr404(req, res);
+      if (!order) return;
+
+      if (!isAssignedAgent(order, req.user)) {
+        return res.status(403).json({ message: 'The order is not assigned to you.' });
+      }
+      if (order.orderStatus === 'Out for Delivery' || Order.FINAL_ORDER_STATUSES.includes(order.orderStatus)) {
+        return res.status(400).json({ message: `A '${order.orderStatus}' order can no longer be rejected.` });
+      }
+
+      order.unassignAgent({ by: req.user._id, note: req.body.reason, action: 'rejected' });
+      await order.save();
+
+      // Agents who rejected an order are never picked for it again
+      const dispatchedOrder = await autoDispatchOrder(order._id, { trigger: 'rejected' });
+
+      res.json({
+        message: dispatchedOrder ? 'Order passed to another delivery agent' : 'Order returned to the unassigned queue',
+        orderId: order._id,
+      });
+    } catch (error) {
+      console.error('Error rejecting order:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+
+// --- PROOF OF DELIVERY ---
+
+// @desc    Email the customer a new delivery code (e.g. they lost the first one, or too many wrong codes were entered)
+// @route   POST /api/deliveries/orders/:id/delivery-code
+// @access  Private (the assigned agent, or orders:update) - only while the order is out for delivery
+router.post('/orders/:id/delivery-code', protect, authorizeAnyPermission('orders:update', 'deliveries:update'), async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (!req.permissions.includes('orders:update') && !isAssignedAgent(order, req.user)) {
+      return res.status(403).json({ message: 'The order is not assigned to you.' });
+    }
+    if (order.orderStatus !== 'Out for Delivery') {
+      return res.status(400).json({ message: 'Delivery codes are only sent for orders that are out for delivery.' });
+    }
+    if (order.deliveryCodeSentAt && Date.now() - order.deliveryCodeSentAt.getTime() < DELIVERY_CODE_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ message: 'A delivery code was sent less than a minute ago. Please wait before requesting another.' });
+    }
+
+    await order.populate('user', 'firstName email');
+    const code = order.createDeliveryCode();
+    await order.save();
+    await sendDeliveryCodeEmail(order, order.user, code);
+
+    res.json({ message: 'A new delivery code has been sent to the customer.', expiresAt: order.deliveryCodeExpiresAt });
+  } catch (error) {
+    console.error('Error resending delivery code:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Upload a delivery photo or the customer's signature
+// @route   POST /api/deliveries/orders/:id/proof?kind=photo|signature
+// @access  Private (the assigned agent, or orders:update) - while out for delivery or after delivery
+// The body is the raw image (Content-Type image/jpeg, image/png or image/webp), not JSON or a form.
+router.post(
+  '/orders/:id/proof',
+  protect,
+  authorizeAnyPermission('orders:update', 'deliveries:update'),
+  express.raw({ type: ['image/jpeg', 'image/png', 'image/webp'], limit: MAX_PROOF_FILE_BYTES }),
+  async (req, res) => {
+    try {
+      const kind = req.query.kind || 'photo';
+      if (!['photo', 'signature'].includes(kind)) {
+        return res.status(400).json({ message: 'kind must be photo or signature' });
+      }
+
+      const order = await findOrderOr404(req, res);
+      if (!order) return;
+
+      if (!req.permissions.includes('orders:update') && !isAssignedAgent(order, req.user)) {
+        return res.status(403).json({ message: 'The order is not assigned to you.' });
+      }
+      if (!['Out for Delivery', 'Delivered'].includes(order.orderStatus)) {
+        return res.status(400).json({ message: 'Proof of delivery can only be added once the order is out for delivery.' });
+      }
+
+      const { file, error } = await storeProofFile(order, req.body, { kind, uploadedBy: req.user._id });
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      try {
+        await order.save();
+      } catch (saveError) {
+        await getFileStorage().remove(file.storageKey); // Don't leave an image that no order points to
+        throw saveError;
+      }
+
+      res.status(201).json(file);
+    } catch (error) {
+      console.error('Error uploading proof of delivery:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Get a proof-of-delivery image
+// @route   GET /api/deliveries/orders/:id/proof/:fileId
+// @access  Private (the order's customer, its agent, or staff who can view orders)
+router.get('/orders/:id/proof/:fileId', protect, async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    const isOwner = order.user.toString() === req.user._id.toString();
+    if (!isOwner && !isAssignedAgent(order, req.user) && !req.permissions.includes('orders:read')) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    const file = order.proofOfDelivery.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const image = await readProofFile(file);
+    if (!image) {
+      console.error(`[PROOF ERROR] Image ${file.storageKey} of order ${order._id} is missing from storage.`);
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(image);
+  } catch (error) {
+    console.error('Error fetching proof of delivery:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid image ID format' });
+    }
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+
+// --- LIVE TRACKING ---
+
+// @desc    Report your current GPS position; it is recorded for every order you have out for delivery
+// @route   POST /api/deliveries/location
+// @access  Private (deliveries:update)
+// Body: { lat, lng, accuracy?, heading?, speed?, recordedAt?, orderId? } - orderId limits the ping to one order
+router.post(
+  '/location',
+  protect,
+  authorizePermissions('deliveries:update'),
+  [
+    check('lat', 'lat must be a latitude between -90 and 90').isFloat({ min: -90, max: 90 }).toFloat(),
+    check('lng', 'lng must be a longitude between -180 and 180').isFloat({ min: -180, max: 180 }).toFloat(),
+    check('accuracy', 'accuracy must be a positive number of metres').optional().isFloat({ min: 0 }).toFloat(),
+    check('heading', 'heading must be between 0 and 360 degrees').optional().isFloat({ min: 0, max: 360 }).toFloat(),
+    check('speed', 'speed must be a positive number of metres per second').optional().isFloat({ min: 0 }).toFloat(),
+    check('recordedAt', 'recordedAt must be a date').optional().isISO8601().toDate(),
+    check('orderId', 'orderId must be a valid ObjectId').optional().custom((value) => mongoose.Types.ObjectId.isValid(value)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { lat, lng, accuracy, heading, speed, orderId } = req.body;
+      // Readings from the future (bad device clock) are stored as now
+      const recordedAt = req.body.recordedAt && req.body.recordedAt < new Date() ? req.body.recordedAt : new Date();
+
+      const query = { deliveryAgent: req.user._id, orderStatus: 'Out for Delivery' };
+      if (orderId) query._id = orderId;
+      const orders = await Order.find(query).select('_id lastLocation');
+      if (orders.length === 0) {
+        return res.status(400).json({ message: 'You have no order out for delivery to report a location for.' });
+      }
+
+      // Pings are frequent telemetry, not staff changes, so they are kept out of the audit log
+      await runWithoutAudit(async () => {
+        await LocationPing.insertMany(orders.map(order => ({
+          order: order._id,
+          agent: req.user._id,
+          location: { type: 'Point', coordinates: [lng, lat] },
+          accuracy,
+          heading,
+          speed,
+          recordedAt,
+        })));
+
+        // Pings can arrive out of order (e.g. sent after regaining signal); keep the newest reading as the last location
+        await Order.updateMany(
+          {
+            _id: { $in: orders.map(order => order._id) },
+            $or: [{ 'lastLocation.recordedAt': { $exists: false } }, { 'lastLocation.recordedAt': { $lt: recordedAt } }],
+          },
+          { $set: { lastLocation: { lat, lng, accuracy, recordedAt } } }
+        );
+      });
+
+      for (const order of orders) {
+        if (!order.lastLocation || !order.lastLocation.recordedAt || order.lastLocation.recordedAt < recordedAt) {
+          publishOrderEvent(order._id, 'location', { lat, lng, accuracy, heading, speed, recordedAt });
+        }
+      }
+
+      res.status(201).json({ recorded: orders.length, orders: orders.map(order => order._id) });
+    } catch (error) {
+      console.error('Error recording location:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Get the GPS trail of an order's delivery, oldest first
+// @route   GET /api/deliveries/orders/:id/trail
+// @access  Private (the order's customer while it is out for delivery, its agent, or staff who can view orders)
+router.get('/orders/:id/trail', protect, async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    const isOwner = order.user.toString() === req.user._id.toString();
+    const isStaffOrAgent = isAssignedAgent(order, req.user) || req.permissions.includes('orders:read');
+    if (!isOwner && !isStaffOrAgent) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    // As in the live tracking stream, customers only see the agent's position while the order is on its way
+    if (!isStaffOrAgent && !order.isLocationSharedWithCustomer()) {
+      return res.json({ orderId: order._id, orderStatus: order.orderStatus, lastLocation: null, trail: [] });
+    }
+
+    // The newest 1000 points are plenty to draw the route
+    const pings = await LocationPing.find({ order: order._id })
+      .select('location accuracy heading speed recordedAt')
+      .sort({ recordedAt: -1 })
+      .limit(1000)
+      .lean();
+
+    res.json({
+      orderId: order._id,
+      orderStatus: order.orderStatus,
+      lastLocation: order.lastLocation,
+      trail: pings.reverse().map(ping => ({
+        lat: ping.location.coordinates[1],
+        lng: ping.location.coordinates[0],
+        accuracy: ping.accuracy,
+        heading: ping.heading,
+        speed: ping.speed,
+        recordedAt: ping.recordedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching delivery trail:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// backend/routes/deliverySlotRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const DeliverySlot = require('../models/DeliverySlot');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+// Helper: parse a YYYY-MM-DD string into midnight UTC of that day (null if invalid)
+const parseDay = (value) => {
+  const day = new Date(value);
+  if (isNaN(day.getTime())) return null;
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+
+// @desc    List open delivery slots (active, not full, not yet started)
+// @route   GET /api/delivery-slots?date=YYYY-MM-DD  (or ?startDate=&endDate=)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { date, startDate, endDate } = req.query;
+    const today = parseDay(new Date());
+
+    let from = today;
+    let to = null;
+    if (date) {
+      from = to = parseDay(date);
+    } else {
+      if (startDate) from = parseDay(startDate);
+      if (endDate) to = parseDay(endDate);
+    }
+
+    if (!from || ((date || endDate) && !to)) {
+      return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD.' });
+    }
+
+    const query = {
+      isActive: true,
+      date: { $gte: from < today ? today : from },
+      $expr: { $lt: ['$reservedCount', '$capacity'] }
+    };
+    if (to) {
+      query.date.$lte = to;
+    }
+
+    const now = new Date();
+    const slots = await DeliverySlot.find(query).sort({ date: 1, startTime: 1 });
+
+    res.json(slots.filter(slot => slot.startsAt > now));
+  } catch (error) {
+    console.error('Error fetching delivery slots:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    List all delivery slots for a day, including full and inactive ones (Admin only)
+// @route   GET /api/delivery-slots/admin?date=YYYY-MM-DD
+// @access  Private/Admin
+router.get('/admin', protect, authorizePermissions('delivery-slots:manage'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.date) {
+      const day = parseDay(req.query.date);
+      if (!day) {
+        return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD.' });
+      }
+      query.date = day;
+    }
+
+    const slots = await DeliverySlot.find(query).sort({ date: 1, startTime: 1 });
+    res.json(slots);
+  } catch (error) {
+    console.error('Error fetching delivery slots for admin:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Define delivery windows for a day (Admin only)
+// @route   POST /api/delivery-slots
+// @access  Private/Admin
+// Body: { date: 'YYYY-MM-DD', windows: [{ startTime: '09:00', endTime: '11:00', capacity: 20 }, ...] }
+router.post(
+  '/',
+  protect,
+  authorizePermissions('delivery-slots:manage'),
+  [
+    check('date', 'A valid date (YYYY-MM-DD) is required').isISO8601(),
+    check('windows', 'At least one delivery window is required').isArray({ min: 1 }),
+    check('windows.*.startTime', 'Start time must be in HH:mm format').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('windows.*.endTime', 'End time must be in HH:mm format').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('windows.*.capacity', 'Capacity must be a non-negative integer').isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const day = parseDay(req.body.date);
+
+    try {
+      const createdSlots = await DeliverySlot.create(
+        req.body.windows.map(window => ({
+          date: day,
+          startTime: window.startTime,
+          endTime: window.endTime,
+          capacity: window.capacity,
+        }))
+      );
+      res.status(201).json(createdSlots);
+    } catch (error) {
+      console.error('Error creating delivery slots:', error);
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'A delivery window with this start time already exists for that day.' });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Update a delivery slot's times, capacity or active flag (Admin only)
+// @route   PUT /api/delivery-slots/:id
+// @access  Private/Admin
+router.put(
+  '/:id',
+  protect,
+  authorizePermissions('delivery-slots:manage'),
+  [
+    check('startTime', 'Start time must be in HH:mm format').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('endTime', 'End time must be in HH:mm format').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('capacity', 'Capacity must be a non-negative integer').optional().isInt({ min: 0 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid slot ID format' });
+      }
+
+      const slot = await DeliverySlot.findById(req.params.id);
+      if (!slot) {
+        return res.status(404).json({ message: 'Delivery slot not found' });
+      }
+
+      const { startTime, endTime, capacity, isActive } = req.body;
+
+      if (capacity !== undefined && Number(capacity) < slot.reservedCount) {
+        return res.status(400).json({ message: `Capacity cannot be lower than the ${slot.reservedCount} orders already booked in this slot.` });
+      }
+
+      if (startTime !== undefined) slot.startTime = startTime;
+      if (endTime !== undefined) slot.endTime = endTime;
+      if (capacity !== undefined) slot.capacity = capacity;
+      if (isActive !== undefined) slot.isActive = isActive;
+
+      const updatedSlot = await slot.save();
+      res.json(updatedSlot);
+    } catch (error) {
+      console.error('Error updating delivery slot:', error);
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'A delivery window with this start time already exists for that day.' });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Delete a delivery slot with no bookings (Admin only)
+// @route   DELETE /api/delivery-slots/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorizePermissions('delivery-slots:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid slot ID format' });
+    }
+
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ message: 'Delivery slot not found' });
+    }
+
+    if (slot.reservedCount > 0) {
+      return res.status(400).json({ message: 'This slot has active bookings. Deactivate it instead of deleting it.' });
+    }
+
+    await slot.deleteOne();
+    res.json({ message: 'Delivery slot removed' });
+  } catch (error) {
+    console.error('Error deleting delivery slot:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// backend/routes/deliveryZoneRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const DeliveryZone = require('../models/DeliveryZone');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const { findDeliveryZone } = require('../utils/deliveryZones');
+
+const DELIVERY_ZONE_FIELDS = ['name', 'country', 'postalCodes', 'area', 'minimumOrderValue', 'deliveryFee', 'isActive'];
+
+// Helper: send a Mongoose or MongoDB error as a 400 where it's the client's fault, otherwise a 500
+const handleZoneError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A delivery zone with this name already exists.' });
+  }
+  if (error.code === 16755) { // The geo index rejected the polygon (e.g. a ring that isn't closed or crosses itself)
+    return res.status(400).json({ message: 'The area is not a valid GeoJSON polygon.' });
+  }
+  res.status(500).json({ message: 'Server Error', details: error.message });
+};
+
+// Shared validation for create (required fields) and update (everything optional)
+const deliveryZoneValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(check('name', 'Zone name is required').not().isEmpty()),
+    check('country', 'Country must be a string').optional({ values: 'null' }).isString(),
+    check('postalCodes', 'Postal codes must be an array').optional().isArray(),
+    check('postalCodes.*', 'Each postal code must be a non-empty string').optional().isString().not().isEmpty(),
+    check('area', 'Area must be a GeoJSON object').optional({ values: 'null' }).isObject(),
+    check('area.type', 'Area type must be Polygon or MultiPolygon').optional().isIn(['Polygon', 'MultiPolygon']),
+    check('area.coordinates', 'Area coordinates must be an array').optional().isArray({ min: 1 }),
+    check('minimumOrderValue', 'Minimum order value must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('deliveryFee', 'Delivery fee must be a non-negative number').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  ];
+};
+
+
+// @desc    Check whether the store delivers to a postal code (or a point, for zones drawn as areas)
+// @route   GET /api/zones/check?postalCode=...&country=...&city=...  (optionally &lat=...&lng=...)
+// @access  Public
+router.get(
+  '/check',
+  [
+    check('postalCode', 'Postal code must be a string').optional().isString().trim(),
+    check('country', 'Country must be a string').optional().isString().trim(),
+    check('city', 'City must be a string').optional().isString().trim(),
+    check('lat', 'lat must be a latitude between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('lng', 'lng must be a longitude between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { postalCode, country, city, lat, lng } = req.query;
+    if (!postalCode && (lat === undefined || lng === undefined)) {
+      return res.status(400).json({ message: 'Give a postalCode, or lat and lng' });
+    }
+
+    try {
+      const address = { postalCode, country, city };
+      if (lat !== undefined && lng !== undefined) {
+        address.location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      }
+
+      const { zone, zonesConfigured } = await findDeliveryZone(address);
+      res.json({
+        serviceable: !!zone || !zonesConfigured, // Every address is served until zones are set up
+        zone: zone ? { name: zone.name, minimumOrderValue: zone.minimumOrderValue, deliveryFee: zone.deliveryFee } : null,
+      });
+    } catch (error) {
+      console.error('Error checking delivery zone:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+
+// --- ADMIN ---
+
+// @desc    Get all delivery zones
+// @route   GET /api/zones
+// @access  Private/Admin
+router.get('/', protect, authorizePermissions('delivery-zones:manage'), async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({}).sort({ name: 1 });
+    res.json(zones);
+  } catch (error) {
+    console.error('Error fetching delivery zones:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @desc    Create a delivery zone
+// @route   POST /api/zones
+// @access  Private/Admin
+router.post('/', protect, authorizePermissions('delivery-zones:manage'), deliveryZoneValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const data = {};
+    DELIVERY_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const createdZone = await DeliveryZone.create(data);
+    res.status(201).json(createdZone);
+  } catch (error) {
+    console.error('Error creating delivery zone:', error);
+    handleZoneError(res, error);
+  }
+});
+
+// @desc    Update a delivery zone (send area: null to remove its area)
+// @route   PUT /api/zones/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorizePermissions('delivery-zones:manage'), deliveryZoneValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid delivery zone ID format' });
+    }
+
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    DELIVERY_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+
+    const updatedZone = await zone.save();
+    res.json(updatedZone);
+  } catch (error) {
+    console.error('Error updating delivery zone:', error);
+    handleZoneError(res, error);
+  }
+});
+
+// @desc    Delete a delivery zone
+// @route   DELETE /api/zones/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorizePermissions('delivery-zones:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid delivery zone ID format' });
+    }
+
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    res.json({ message: 'Delivery zone removed' });
+  } catch (error) {
+    console.error('Error deleting delivery zone:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -5,15 +5,37 @@ const router = express.Router();
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Category = require('../models/Category'); // Import Category model for lookup
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const Cart = require('../models/Cart'); // Import Cart model for checkout from the server-side cart
+const DeliverySlot = require('../models/DeliverySlot'); // Import DeliverySlot model for window reservations
+const StockReservation = require('../models/StockReservation'); // Import StockReservation model to hold stock until payment
+const Coupon = require('../models/Coupon'); // Import Coupon model for promo codes
+const User = require('../models/User'); // Import User model to search orders by customer email
+const {
+  protect,
+  acceptTokenFromQuery,
+  authorizePermissions,
+  authorizeAnyPermission,
+  requireVerifiedEmail,
+  requireTwoFactor,
+} = require('../middleware/authMiddleware');
 const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const sendEmail = require('../utils/sendEmail');
 const { check, validationResult } = require('express-validator');
+const { priceOrderItems, checkCoupon, calculateOrderPricing } = require('../utils/orderPricing');
+const { releaseOrderHolds } = require('../utils/orderHolds');
+const { refundOrder } = require('../utils/refundOrder');
+const { autoDispatchOrder } = require('../utils/autoDispatch');
+const { sendDeliveryCodeEmail } = require('../utils/deliveryProof');
+const { subscribeToOrder, flushOrderEvents } = require('../utils/orderEvents');
+const { geocodeAddress } = require('../utils/geocoding');
+const { getDepotLocation, planDeliveryRoute } = require('../utils/routePlanning');
+const { checkDeliveryAddress } = require('../utils/deliveryZones');
 
 
 // 1. Get Sales and Order Analytics (Admin only) - Overall totals
 // GET /api/orders/admin/analytics
-router.get('/admin/analytics', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/analytics', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     const analytics = await Order.aggregate([
       {
@@ -47,7 +69,7 @@ router.get('/admin/analytics', protect, authorizeRoles('admin'), async (req, res
 
 // 2. Get Top Selling Products (Admin only)
 // GET /api/orders/admin/top-products
-router.get('/admin/top-products', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/top-products', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     const topProducts = await Order.aggregate([
       { $unwind: '$orderItems' },
@@ -91,7 +113,7 @@ router.get('/admin/top-products', protect, authorizeRoles('admin'), async (req,
 
 // 3. Get Sales Report by Period (Admin only)
 // GET /api/orders/admin/sales-report?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
-router.get('/admin/sales-report', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/sales-report', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -155,7 +177,7 @@ router.get('/admin/sales-report', protect, authorizeRoles('admin'), async (req,
 // --- NEW SALES REPORT BY CATEGORY ROUTE ---
 // 4. Get Sales Report by Category (Admin only)
 // GET /api/orders/admin/sales-by-category?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
-router.get('/admin/sales-by-category', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/sales-by-category', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     let matchQuery = {};
@@ -233,29 +255,107 @@ router.get('/admin/sales-by-category', protect, authorizeRoles('admin'), async (
 });
 // --- END NEW SALES REPORT BY CATEGORY ROUTE ---
 
+// Helper used by the validators below: orderItems are only required when not checking out from the cart
+const notFromCart = (value, { req }) => !req.body.fromCart;
+
+// Basket validators shared by order creation and the price quote
+const basketValidators = [
+  check('fromCart', 'fromCart must be a boolean').optional().isBoolean(),
+  check('orderItems', 'Order must contain at least one product').if(notFromCart).isArray({ min: 1 }),
+  check('orderItems.*.product', 'Product ID must be a valid ObjectId').if(notFromCart).custom((value) =>
+    mongoose.Types.ObjectId.isValid(value)
+  ),
+  check('orderItems.*.quantity', 'Quantity must be a positive integer for each item').if(notFromCart).isInt({ gt: 0 }),
+  check('shippingAddress.city', 'City is required').not().isEmpty(),
+  check('shippingAddress.postalCode', 'Postal Code is required').not().isEmpty(),
+  check('shippingAddress.country', 'Country is required').not().isEmpty(),
+  check('couponCode', 'Coupon code must be a string').optional().isString().trim(),
+];
+
+// Helper: the items to price - either from the request body or from the user's server-side cart
+const getRequestedItems = async (req) => {
+  const fromCart = req.body.fromCart === true || req.body.fromCart === 'true';
+  if (!fromCart) {
+    return { fromCart, cart: null, orderItems: req.body.orderItems };
+  }
+  const cart = await Cart.findOne({ user: req.user._id });
+  const orderItems = cart ? cart.items.map(item => ({ product: item.product, quantity: item.quantity })) : [];
+  return { fromCart, cart, orderItems };
+};
+
+// @desc    Get a full price breakdown (items, discount, shipping, tax, total) before checkout
+// @route   POST /api/orders/quote
+// @access  Private
+// Takes the same orderItems/fromCart, shippingAddress and couponCode as POST /api/orders.
+router.post('/quote', protect, basketValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { fromCart, orderItems } = await getRequestedItems(req);
+    if (!orderItems || orderItems.length === 0) {
+      return res.status(400).json({ message: fromCart ? 'Your cart is empty' : 'No order items' });
+    }
+
+    // Quotes are priced from the database only, so client prices are not compared here
+    const pricedItems = await priceOrderItems(orderItems, { verifyPrices: false });
+    if (pricedItems.error) {
+      return res.status(pricedItems.error.status).json({ message: pricedItems.error.message });
+    }
+
+    let coupon = null;
+    if (req.body.couponCode) {
+      const couponCheck = await checkCoupon(req.body.couponCode, req.user._id, pricedItems.itemsPrice);
+      if (couponCheck.error) {
+        return res.status(couponCheck.error.status).json({ message: couponCheck.error.message });
+      }
+      coupon = couponCheck.coupon;
+    }
+
+    // Tell the customer now rather than at checkout if their address or basket can't be delivered
+    const zoneCheck = await checkDeliveryAddress(
+      { ...req.body.shippingAddress, location: undefined }, // Geocoded here, never taken from the client
+      { itemsPrice: pricedItems.itemsPrice }
+    );
+    if (zoneCheck.error) {
+      return res.status(zoneCheck.error.status).json({ message: zoneCheck.error.message });
+    }
+
+    const pricing = await calculateOrderPricing({
+      ...pricedItems,
+      shippingAddress: req.body.shippingAddress,
+      coupon,
+      deliveryZone: zoneCheck.zone,
+    });
+
+    res.json({ orderItems: pricedItems.items, ...pricing });
+  } catch (error) {
+    console.error('Error calculating order quote:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 // @desc    Create new order (MODIFIED: Calculates prices server-side & adds validation)
 // @route   POST /api/orders
 // @access  Private (Users only)
+// Send `fromCart: true` instead of `orderItems` to check out the user's server-side cart.
 router.post(
   '/',
   protect, // User must be logged in to create an order
+  requireVerifiedEmail, // ...and have confirmed their email address
   [ // <--- START VALIDATION MIDDLEWARE ARRAY (Ensure this entire array is included)
-    // Validate orderItems array
-    check('orderItems', 'Order must contain at least one product').isArray({ min: 1 }),
-    check('orderItems.*.product', 'Product ID is required for each item').not().isEmpty(),
-    check('orderItems.*.product', 'Product ID must be a valid ObjectId').custom((value) =>
-      mongoose.Types.ObjectId.isValid(value)
-    ),
-    check('orderItems.*.name', 'Product name is required for each item').not().isEmpty(),
-    check('orderItems.*.quantity', 'Quantity must be a positive integer for each item').isInt({ gt: 0 }),
-    check('orderItems.*.price', 'Price must be a positive number for each item').isFloat({ gt: 0 }),
-    check('orderItems.*.image', 'Product image URL is required for each item').not().isEmpty().isURL(),
+    // Items (or fromCart), city, postal code, country and coupon code, checked as for /quote
+    ...basketValidators,
+
+    // Request items also carry their name, price and image (skipped when checking out from the cart)
+    check('orderItems.*.name', 'Product name is required for each item').if(notFromCart).not().isEmpty(),
+    check('orderItems.*.price', 'Price must be a positive number for each item').if(notFromCart).isFloat({ gt: 0 }),
+    check('orderItems.*.image', 'Product image URL is required for each item').if(notFromCart).not().isEmpty().isURL(),
 
-    // Validate shippingAddress fields - THIS NOW INCLUDES PHONE
+    // Validate the rest of shippingAddress - THIS NOW INCLUDES PHONE
     check('shippingAddress.address', 'Shipping address is required').not().isEmpty(),
-    check('shippingAddress.city', 'City is required').not().isEmpty(),
-    check('shippingAddress.postalCode', 'Postal Code is required').not().isEmpty(),
-    check('shippingAddress.country', 'Country is required').not().isEmpty(),
     check('shippingAddress.phone', 'Shipping phone number is required and must be valid')
       .not().isEmpty() // Ensures it's not empty
       .isMobilePhone('any', { strictMode: false }), // <--- THIS CHECKS FOR VALID PHONE NUMBER FORMAT
@@ -263,6 +363,11 @@ router.post(
     // Validate paymentMethod and deliveryInstructions (optional but if provided, ensure string)
     check('paymentMethod', 'Payment method must be a string').optional().isString(),
     check('deliveryInstructions', 'Delivery instructions must be a string').optional().isString(),
+
+    // Optional delivery window to reserve (see GET /api/delivery-slots)
+    check('deliverySlot', 'Delivery slot ID must be a valid ObjectId').optional().custom((value) =>
+      mongoose.Types.ObjectId.isValid(value)
+    ),
   ], // <--- END VALIDATION MIDDLEWARE ARRAY
   async (req, res) => {
     // --- THIS BLOCK MUST BE AT THE VERY TOP OF YOUR ASYNC HANDLER ---
@@ -273,64 +378,84 @@ router.post(
     // --- END CRITICAL VALIDATION CHECK BLOCK ---
 
     const {
-      orderItems,
       shippingAddress,
       paymentMethod,
       deliveryInstructions,
+      deliverySlot,
+      couponCode,
     } = req.body;
 
-    // Initial check for empty order items (redundant with express-validator, but keeps your original logic)
-    if (!orderItems || orderItems.length === 0) {
-      return res.status(400).json({ message: 'No order items' });
-    }
+    let session;
+    try {
+      // When checking out from the cart, the items come from the server-side cart instead of the request
+      const { fromCart, cart, orderItems } = await getRequestedItems(req);
 
-    const session = await Order.startSession();
-    session.startTransaction();
+      // Initial check for empty order items (redundant with express-validator, but keeps your original logic)
+      if (!orderItems || orderItems.length === 0) {
+        return res.status(400).json({ message: fromCart ? 'Your cart is empty' : 'No order items' });
+      }
 
-    try {
-      let calculatedItemsPrice = 0;
-      const newOrderItems = []; // This will hold verified and sanitized order items
+      // Coordinates for delivery route planning; done before the transaction as the provider may be an online service
+      const shippingLocation = await geocodeAddress(shippingAddress);
 
-      for (const item of orderItems) {
-        const product = await Product.findById(item.product).session(session);
+      session = await Order.startSession();
+      session.startTransaction();
 
-        if (!product) {
+      // Verify every item against the database (cart items carry no client price, so only request items are price-checked)
+      const pricedItems = await priceOrderItems(orderItems, { verifyPrices: !fromCart, session });
+      if (pricedItems.error) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(pricedItems.error.status).json({ message: pricedItems.error.message });
+      }
+
+      // --- APPLY COUPON (validated server-side, counted atomically within the transaction) ---
+      let appliedCoupon = null;
+      if (couponCode) {
+        const couponCheck = await checkCoupon(couponCode, req.user._id, pricedItems.itemsPrice, session);
+        if (couponCheck.error) {
           await session.abortTransaction();
           session.endSession();
-          return res.status(404).json({ message: `Product not found: ${item.name || item.product}` });
+          return res.status(couponCheck.error.status).json({ message: couponCheck.error.message });
         }
 
-        // --- SECURITY CHECK: VERIFY PRICE FROM DATABASE ---
-        if (product.price !== item.price) {
+        appliedCoupon = await Coupon.redeem(couponCheck.coupon._id, session);
+        if (!appliedCoupon) {
           await session.abortTransaction();
           session.endSession();
-          return res.status(400).json({ message: `Price mismatch for product: ${product.name}. Expected: ${product.price}, Received: ${item.price}` });
+          return res.status(400).json({ message: 'This coupon has reached its usage limit.' });
         }
+      }
 
-        if (product.stockQuantity < item.quantity) {
+      // --- ONLY DELIVER INSIDE THE ADMIN-MANAGED DELIVERY ZONES (and above the zone's minimum order value) ---
+      const zoneCheck = await checkDeliveryAddress(
+        { ...shippingAddress, location: shippingLocation },
+        { itemsPrice: pricedItems.itemsPrice, session }
+      );
+      if (zoneCheck.error) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(zoneCheck.error.status).json({ message: zoneCheck.error.message });
+      }
+
+      // --- TAX AND SHIPPING FROM THE ADMIN-MANAGED PRICING RULES ---
+      const pricing = await calculateOrderPricing(
+        { ...pricedItems, shippingAddress, coupon: appliedCoupon, deliveryZone: zoneCheck.zone },
+        session
+      );
+
+      // --- RESERVE DELIVERY WINDOW (rolled back with the transaction if anything below fails) ---
+      let reservedSlot = null;
+      if (deliverySlot) {
+        reservedSlot = await DeliverySlot.reserve(deliverySlot, session);
+        if (!reservedSlot) {
           await session.abortTransaction();
           session.endSession();
-          return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}` });
+          return res.status(409).json({ message: 'The selected delivery slot is full or no longer available. Please choose another slot.' });
         }
-
-        calculatedItemsPrice += product.price * item.quantity;
-
-        newOrderItems.push({
-          name: product.name,
-          quantity: item.quantity,
-          image: product.images && product.images.length > 0 ? product.images[0] : item.image,
-          price: product.price,
-          product: product._id,
-        });
       }
 
-      const TAX_RATE = 0.05;
-      const SHIPPING_COST = 10.00;
-
-      const calculatedTaxPrice = calculatedItemsPrice * TAX_RATE;
-      const calculatedShippingPrice = SHIPPING_COST;
-      const calculatedTotalPrice = calculatedItemsPrice + calculatedTaxPrice + calculatedShippingPrice;
-
+      const newOrderItems = pricedItems.items;
       const order = new Order({
         user: req.user._id,
         orderItems: newOrderItems,
@@ -340,35 +465,49 @@ router.post(
             postalCode: shippingAddress.postalCode,
             country: shippingAddress.country,
             phone: shippingAddress.phone, // <--- PHONE IS NOW INCLUDED HERE
+            location: shippingLocation,
             // Add any other specific fields from your shippingAddress schema if needed
         },
         paymentMethod,
-        itemsPrice: calculatedItemsPrice.toFixed(2),
-        taxPrice: calculatedTaxPrice.toFixed(2),
-        shippingPrice: calculatedShippingPrice.toFixed(2),
-        totalPrice: calculatedTotalPrice.toFixed(2),
+        itemsPrice: pricing.itemsPrice,
+        taxPrice: pricing.taxPrice,
+        shippingPrice: pricing.shippingPrice,
+        couponCode: pricing.couponCode,
+        discountPrice: pricing.discountPrice,
+        totalPrice: pricing.totalPrice,
         deliveryInstructions,
+        deliverySlot: reservedSlot ? reservedSlot._id : null,
+        deliveryZone: zoneCheck.zone ? zoneCheck.zone._id : null,
         orderStatus: 'Pending',
       });
 
       const createdOrder = await order.save({ session });
 
-      for (const item of newOrderItems) {
-          const product = await Product.findById(item.product).session(session);
-          if (product) {
-              product.stockQuantity -= item.quantity;
-              await product.save({ session });
-          }
+      // --- HOLD STOCK UNTIL PAYMENT (committed by the payment webhook, released on cancel/failure/expiry) ---
+      const stockHold = await StockReservation.hold(createdOrder, session);
+      if (!stockHold.ok) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: stockHold.message });
+      }
+
+      // Empty the cart as part of the same transaction so it is only cleared if the order is placed
+      if (cart) {
+          cart.items = [];
+          await cart.save({ session });
       }
 
       await session.commitTransaction();
+      flushOrderEvents(session);
       session.endSession();
 
       res.status(201).json(createdOrder);
 
     } catch (transactionError) {
-      await session.abortTransaction();
-      session.endSession();
+      if (session) {
+        await session.abortTransaction();
+        session.endSession();
+      }
       console.error('Transaction Error during order creation:', transactionError);
 
       if (transactionError.kind === 'ObjectId') {
@@ -385,16 +524,102 @@ router.post(
       res.status(500).json({ message: 'Order creation failed due to an unexpected server error.', details: transactionError.message });
 
     } finally {
-        if (session.inTransaction()) {
+        if (session && session.inTransaction()) {
             await session.abortTransaction(); // Double-check in case an error bypassed initial abort
         }
-        if (session.isActive) {
+        if (session && session.isActive) {
             session.endSession();
         }
     }
   }
 );
 
+// Order listings can be sorted by these fields
+const ORDER_SORT_FIELDS = ['createdAt', 'totalPrice', 'orderStatus', 'paidAt', 'deliveredAt'];
+
+// Helper: filters, sorting and pagination shared by the customer and admin order listings.
+// Query: status (one or comma-separated), from/to (dates, 'to' includes the whole day), isPaid,
+// sortBy, order ('asc' or 'desc'), page, limit. Returns { query, sort, page, pageSize, skip } or { error }.
+const parseOrderListOptions = (params) => {
+  const { status, from, to, isPaid, sortBy = 'createdAt', order = 'desc', page = 1, limit = 20 } = params;
+  const query = {};
+
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !Order.ORDER_STATUS_TRANSITIONS[s]);
+    if (unknown.length > 0) {
+      return { error: `Unknown order status: ${unknown.join(', ')}. Valid statuses: ${Object.keys(Order.ORDER_STATUS_TRANSITIONS).join(', ')}` };
+    }
+    query.orderStatus = { $in: statuses };
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setUTCHours(23, 59, 59, 999); // A plain date (parsed as UTC midnight) means up to the end of that day
+      }
+      query.createdAt.$lte = end;
+    }
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'from and to must be valid dates (YYYY-MM-DD)' };
+    }
+  }
+
+  if (isPaid !== undefined) {
+    if (!['true', 'false'].includes(isPaid)) {
+      return { error: 'isPaid must be true or false' };
+    }
+    query.isPaid = isPaid === 'true';
+  }
+
+  if (!ORDER_SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of: ${ORDER_SORT_FIELDS.join(', ')}` };
+  }
+  const direction = String(order).toLowerCase() === 'asc' ? 1 : -1;
+  const sort = { [sortBy]: direction, _id: direction }; // _id keeps pages stable when values tie
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+  return { query, sort, page: pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+// @desc    Get the logged-in user's orders, newest first, with filters and pagination
+// @route   GET /api/orders/mine?status=Pending,Processing&from=2024-01-01&to=2024-01-31&sortBy=totalPrice&order=desc&page=1&limit=20
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const options = parseOrderListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const query = { ...options.query, user: req.user._id };
+    const [orders, totalOrders] = await Promise.all([
+      Order.find(query)
+        .select('-statusHistory -refunds') // Fetch a single order (or its timeline) for the details
+        .sort(options.sort)
+        .skip(options.skip)
+        .limit(options.pageSize),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      orders,
+      page: options.page,
+      pages: Math.ceil(totalOrders / options.pageSize),
+      totalOrders,
+      limit: options.pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching user orders:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 // @desc    Get order by ID
 // @route   GET /api/orders/:id
 // @access  Private (User specific, Admin can view all)
@@ -408,10 +633,16 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const isStaff = req.permissions.includes('orders:read');
+    if (order.user._id.toString() !== req.user._id.toString() && !isStaff) {
       return res.status(403).json({ message: 'Not authorized to view this order' });
     }
 
+    // Customers only see the agent's position while the order is out for delivery
+    if (!isStaff && !order.isLocationSharedWithCustomer()) {
+      order.lastLocation = undefined;
+    }
+
     res.json(order);
   } catch (error) {
     console.error('Error fetching order by ID:', error);
@@ -422,16 +653,169 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Get the status timeline of an order
+// @route   GET /api/orders/:id/timeline
+// @access  Private (the order's customer, or staff who can view orders)
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    const order = await Order.findById(req.params.id).select('user orderStatus statusHistory createdAt isDelivered deliveredAt');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.user.toString() !== req.user._id.toString() && !req.permissions.includes('orders:read')) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    // Orders placed before the history was kept start with a synthetic "placed" entry
+    const history = order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ to: 'Pending', actorRole: 'customer', note: 'Order placed', changedAt: order.createdAt }];
+
+    // Customers see who changed the status by role only, never which staff member
+    const isStaff = req.permissions.includes('orders:read');
+    const timeline = history.map(entry => ({
+      from: entry.from,
+      to: entry.to,
+      note: entry.note,
+      actorRole: entry.actorRole,
+      changedBy: isStaff ? entry.changedBy : undefined,
+      changedAt: entry.changedAt,
+    }));
+
+    res.json({
+      orderId: order._id,
+      orderStatus: order.orderStatus,
+      isDelivered: order.isDelivered,
+      deliveredAt: order.deliveredAt,
+      nextStatuses: Order.ORDER_STATUS_TRANSITIONS[order.orderStatus],
+      timeline,
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// How often an idle tracking stream sends a comment, so proxies and load balancers keep it open
+const TRACKING_HEARTBEAT_MS = 25 * 1000;
+
+// @desc    Live tracking of an order as a Server-Sent Events stream: status changes and, while it is
+//          out for delivery, the agent's position. Ends once the order is Delivered or Cancelled.
+// @route   GET /api/orders/:id/track  (from a browser: new EventSource('/api/orders/<id>/track?access_token=<token>'))
+// @access  Private (the order's customer, or staff who can view orders)
+// Events: 'snapshot' (on connect: { orderId, orderStatus, lastLocation }), 'status' ({ from, to, note, changedAt }),
+//         'location' ({ lat, lng, accuracy, heading, speed, recordedAt })
+router.get('/:id/track', acceptTokenFromQuery, protect, async (req, res) => {
+  let order;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+
+    order = await Order.findById(req.params.id).select('user orderStatus lastLocation');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.user.toString() !== req.user._id.toString() && !req.permissions.includes('orders:read')) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+  } catch (error) {
+    console.error('Error opening order tracking stream:', error);
+    return res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write('retry: 5000\n\n'); // Browsers reconnect after 5 seconds if the connection drops
+  send('snapshot', {
+    orderId: order._id,
+    orderStatus: order.orderStatus,
+    // The agent's position is only shared while they are on the way
+    lastLocation: order.isLocationSharedWithCustomer() && order.lastLocation && order.lastLocation.recordedAt ? order.lastLocation : null,
+  });
+  if (Order.FINAL_ORDER_STATUSES.includes(order.orderStatus)) {
+    return res.end();
+  }
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), TRACKING_HEARTBEAT_MS);
+  const unsubscribe = subscribeToOrder(order._id, ({ type, data }) => {
+    // Customers only see status and location; other order events are for staff (see utils/realtime)
+    if (type === 'location') {
+      send(type, data);
+    } else if (type === 'status') {
+      send(type, { from: data.from, to: data.to, note: data.note, changedAt: data.changedAt });
+      if (Order.FINAL_ORDER_STATUSES.includes(data.to)) {
+        close();
+      }
+    }
+  });
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+});
+
 // @desc    Get all orders (Admin only)
-// @route   GET /api/orders
+// @route   GET /api/orders?search=<email or order id>&status=...&from=...&to=...&isPaid=...&sortBy=...&order=...&page=1&limit=20
 // @access  Private/Admin
-router.get('/', protect, authorizeRoles('admin'), async (req, res) => {
+// Takes the same filters as GET /api/orders/mine, plus a search by order ID or (part of) the customer's email.
+router.get('/', protect, authorizePermissions('orders:read'), async (req, res) => {
   try {
-    const orders = await Order.find({}).populate('user', 'id name');
-    res.json(orders);
+    const options = parseOrderListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const query = { ...options.query };
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search) {
+      if (mongoose.Types.ObjectId.isValid(search)) {
+        query._id = search;
+      } else {
+        // Escape regex characters so the search is a plain "contains" match
+        const emailPattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const users = await User.find({ email: { $regex: emailPattern, $options: 'i' } }).select('_id').limit(1000);
+        query.user = { $in: users.map(user => user._id) };
+      }
+    }
+
+    const [orders, totalOrders] = await Promise.all([
+      Order.find(query)
+        .select('-statusHistory')
+        .populate('user', 'firstName lastName email')
+        .sort(options.sort)
+        .skip(options.skip)
+        .limit(options.pageSize),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      orders,
+      page: options.page,
+      pages: Math.ceil(totalOrders / options.pageSize),
+      totalOrders,
+      limit: options.pageSize
+    });
   } catch (error) {
     console.error('Error fetching all orders:', error);
-    res.status(500).json({ message: 'Server Error' });
+    res.status(500).json({ message: 'Server Error', details: error.message });
   }
 });
 
@@ -439,13 +823,19 @@ router.get('/', protect, authorizeRoles('admin'), async (req, res) => {
 // @desc    Update order status (Admin and Delivery Agent) - MODIFIED FOR EMAIL NOTIFICATIONS
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin, Delivery Agent
-router.put('/:id/status', protect, authorizeRoles('admin', 'delivery-agent'), async (req, res) => {
-  const { orderStatus, assignedTo } = req.body;
+router.put('/:id/status', protect, authorizeAnyPermission('orders:update', 'deliveries:update'), async (req, res) => {
+  const { orderStatus, assignedTo, note } = req.body;
+
+  // Assignment has its own workflow (agent validation, accept/reject), so it isn't changed here
+  if (assignedTo !== undefined) {
+    return res.status(400).json({ message: 'Use PUT /api/deliveries/orders/:id/assign to assign a delivery agent.' });
+  }
 
   try {
     // Populate user and orderItems.product to get details needed for the email
     const order = await Order.findById(req.params.id)
-      .populate('user', 'name email') // Get user's name and email
+      .select('+deliveryCodeHash') // Needed to check the delivery code
+      .populate('user', 'firstName email') // Get user's name and email
       .populate('orderItems.product', 'name'); // Get product name for email content
 
     if (!order) {
@@ -454,33 +844,75 @@ router.put('/:id/status', protect, authorizeRoles('admin', 'delivery-agent'), as
 
     const oldOrderStatus = order.orderStatus; // Store old status to check for changes
 
-    if (req.user.role === 'admin') {
-      order.orderStatus = orderStatus || order.orderStatus;
-      if (assignedTo) {
-        order.assignedTo = assignedTo;
-      }
-    } else if (req.user.role === 'delivery-agent') {
-      if (order.assignedTo && order.assignedTo.toString() !== req.user._id.toString()) {
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+
+    // Admins (orders:update) can set any allowed status
+    if (!req.permissions.includes('orders:update')) {
+      // Agents can only update orders assigned to them, once they have accepted them
+      if (!order.deliveryAgent || order.deliveryAgent.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Not authorized to update this order' });
       }
+      if (order.assignmentStatus !== 'Accepted') {
+        return res.status(400).json({ message: 'Accept the assignment before updating the order status.' });
+      }
 
       const validAgentStatuses = ['Out for Delivery', 'Delivered', 'Cancelled'];
-      if (orderStatus && validAgentStatuses.includes(orderStatus)) {
-        order.orderStatus = orderStatus;
-      } else {
+      if (!orderStatus || !validAgentStatuses.includes(orderStatus)) {
         return res.status(400).json({ message: `Delivery agents can only change status to: ${validAgentStatuses.join(', ')}` });
       }
-    } else {
-      return res.status(403).json({ message: 'Not authorized to update order status' });
     }
 
-    const updatedOrder = await order.save();
+    // Proof of delivery: agents complete an order with the code the customer was emailed.
+    // Staff can mark an order delivered without it (recorded as an 'admin' confirmation).
+    if (orderStatus === 'Delivered' && order.canTransitionTo('Delivered')) {
+      const { deliveryCode } = req.body;
+      if (deliveryCode !== undefined || !req.permissions.includes('orders:update')) {
+        if (!deliveryCode) {
+          return res.status(400).json({ message: 'Enter the delivery code the customer received by email.' });
+        }
+        const codeCheck = await order.checkDeliveryCode(deliveryCode);
+        if (codeCheck.error) {
+          return res.status(400).json({ message: codeCheck.error });
+        }
+        order.proofOfDelivery.method = 'code';
+      } else {
+        order.proofOfDelivery.method = 'admin';
+      }
+      order.proofOfDelivery.verifiedAt = new Date();
+      order.proofOfDelivery.verifiedBy = req.user._id;
+    }
+
+    // Only the transitions in Order.ORDER_STATUS_TRANSITIONS are allowed (e.g. never Delivered -> Pending)
+    if (orderStatus && orderStatus !== order.orderStatus) {
+      const transition = order.transitionStatus(orderStatus, { actor: req.user, note });
+      if (transition.error) {
+        return res.status(400).json({ message: transition.error });
+      }
+    }
+
+    // A fresh delivery code every time the order leaves for delivery
+    const deliveryCode = order.orderStatus === 'Out for Delivery' && oldOrderStatus !== 'Out for Delivery'
+      ? order.createDeliveryCode()
+      : null;
+
+    let updatedOrder = order;
+    if (order.orderStatus === 'Cancelled' && oldOrderStatus !== 'Cancelled') {
+      // Refunded and restocked if it was paid, its PaymentIntent voided if not (saved together with the cancellation)
+      const settled = await settleCancelledOrder(order, { reason: note || 'Cancelled by staff', source: 'admin', actor: req.user });
+      if (settled.error) {
+        return res.status(settled.error.status).json({ message: settled.error.message });
+      }
+    } else {
+      updatedOrder = await order.save();
+    }
 
     // --- SEND EMAIL NOTIFICATION IF STATUS CHANGED ---
     if (updatedOrder.orderStatus !== oldOrderStatus) {
       const orderItemsList = updatedOrder.orderItems.map(item => `${item.name} (${item.quantity})`).join(', ');
       const emailContent = `
-        <p>Dear ${updatedOrder.user.name},</p>
+        <p>Dear ${updatedOrder.user.firstName || 'customer'},</p>
         <p>Your order #${updatedOrder._id} status has been updated!</p>
         <p><strong>Old Status:</strong> ${oldOrderStatus}</p>
         <p><strong>New Status:</strong> ${updatedOrder.orderStatus}</p>
@@ -505,6 +937,21 @@ router.put('/:id/status', protect, authorizeRoles('admin', 'delivery-agent'), as
     }
     // --- END EMAIL NOTIFICATION LOGIC ---
 
+    if (deliveryCode) {
+      await sendDeliveryCodeEmail(updatedOrder, updatedOrder.user, deliveryCode);
+    }
+
+    // An order that has just become Processing is handed to a delivery agent automatically
+    if (updatedOrder.orderStatus === 'Processing' && oldOrderStatus !== 'Processing' && !updatedOrder.deliveryAgent) {
+      const dispatchedOrder = await autoDispatchOrder(updatedOrder._id, { trigger: 'status-update' });
+      if (dispatchedOrder) {
+        return res.json(await dispatchedOrder.populate([
+          { path: 'user', select: 'firstName email' },
+          { path: 'orderItems.product', select: 'name' },
+        ]));
+      }
+    }
+
     res.json(updatedOrder);
 
   } catch (error) {
@@ -512,22 +959,186 @@ router.put('/:id/status', protect, authorizeRoles('admin', 'delivery-agent'), as
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'Invalid order ID format' });
     }
+    if (error.type && error.type.startsWith('Stripe')) {
+      return res.status(502).json({ message: 'The payment could not be refunded or voided, so the order was not cancelled. Please try again later.', details: error.message });
+    }
     res.status(500).json({ message: 'Server Error', details: error.message });
   }
 });
 
-// @desc    Get orders assigned to a specific delivery agent
+// Customers can only cancel before the order leaves the store
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending', 'Processing'];
+
+// Helper: cancel an unpaid order's PaymentIntent. Returns false if it can't be, because the payment
+// already succeeded or is still being processed (the webhook will then mark the order paid).
+const cancelPaymentIntent = async (paymentIntentId) => {
+  try {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+    return true;
+  } catch (stripeError) {
+    if (stripeError.code !== 'payment_intent_unexpected_state') {
+      throw stripeError;
+    }
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    return paymentIntent.status === 'canceled';
+  }
+};
+
+// Helper: settle and save an order whose status has just been set to Cancelled (in memory).
+// A paid order is refunded, restocking what was sold, and the cancellation is saved in the refund's transaction,
+// so a failed Stripe refund leaves the order as it was. An unpaid order has its PaymentIntent voided first.
+// Either way the stock, delivery window and coupon use it still holds are released, and its delivery agent
+// unassigned, in the same transaction.
+// Returns { refund } (null if nothing was refunded) or { error: { status, message } }.
+const settleCancelledOrder = async (order, { reason, source, actor }) => {
+  // Takes it off the agent's assigned orders and route plan
+  if (order.deliveryAgent) {
+    order.unassignAgent({ by: actor._id, note: 'Order cancelled' });
+  }
+
+  const releaseHolds = (session) => releaseOrderHolds(order, 'cancelled', session);
+
+  if (order.isPaid && !order.isRefunded) {
+    const stockCommitted = await StockReservation.exists({ order: order._id, status: 'committed' });
+    const result = await refundOrder(order, {
+      reason,
+      restock: !!stockCommitted,
+      source,
+      refundedBy: actor._id,
+      beforeSave: releaseHolds,
+    });
+    return result.error ? { error: result.error } : { refund: result.refund };
+  }
+
+  // Void the PaymentIntent first, so the customer can't still pay with the client secret they have
+  if (!order.isPaid && order.paymentIntentId && !(await cancelPaymentIntent(order.paymentIntentId))) {
+    return { error: { status: 409, message: 'A payment for this order is already going through. Please try again in a moment.' } };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    await releaseHolds(session);
+    await order.save({ session });
+    await session.commitTransaction();
+    flushOrderEvents(session);
+  } catch (transactionError) {
+    await session.abortTransaction();
+    throw transactionError;
+  } finally {
+    session.endSession();
+  }
+  return { refund: null };
+};
+
+// Helper: confirm a customer's cancellation by email. Failures are logged and never undo the cancellation.
+const sendCancellationEmail = async (order, user, refund) => {
+  const orderItemsList = order.orderItems.map(item => `${item.name} (${item.quantity})`).join(', ');
+  const refundLine = refund
+    ? `<p>A refund of <strong>$${(refund.amount / 100).toFixed(2)}</strong> has been issued to your original payment method. It may take 5-10 business days to appear on your statement.</p>`
+    : '<p>You have not been charged for this order.</p>';
+  const emailContent = `
+    <p>Dear ${user.firstName || 'customer'},</p>
+    <p>Your order #${order._id} has been cancelled as requested.</p>
+    <p><strong>Order Items:</strong> ${orderItemsList}</p>
+    ${refundLine}
+    <p>We hope to see you again soon!</p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: `Order Cancelled: Your Order #${order._id}`,
+      html: emailContent,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send cancellation email for order ${order._id}:`, emailError);
+  }
+};
+
+// @desc    Cancel your own order (refunded and restocked automatically if it was paid)
+// @route   POST /api/orders/:id/cancel
+// @access  Private (the order's customer, while the order is Pending or Processing)
+router.post(
+  '/:id/cancel',
+  protect,
+  [check('reason', 'Reason must be a string').optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid order ID format' });
+      }
+
+      const order = await Order.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      if (order.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized to cancel this order' });
+      }
+      if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+        return res.status(400).json({
+          message: `Orders can only be cancelled while ${CUSTOMER_CANCELLABLE_STATUSES.join(' or ')}. This order is '${order.orderStatus}'.`,
+        });
+      }
+
+      const reason = req.body.reason || 'Cancelled by customer';
+      const transition = order.transitionStatus('Cancelled', { actor: req.user, note: reason });
+      if (transition.error) {
+        return res.status(400).json({ message: transition.error });
+      }
+
+      const settled = await settleCancelledOrder(order, { reason, source: 'customer', actor: req.user });
+      if (settled.error) {
+        return res.status(settled.error.status).json({ message: settled.error.message });
+      }
+      const { refund } = settled;
+
+      await sendCancellationEmail(order, req.user, refund);
+
+      res.json({
+        message: refund ? 'Order cancelled and refunded' : 'Order cancelled',
+        order,
+        refund: refund ? { id: refund.id, amount: refund.amount / 100, status: refund.status } : null,
+      });
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ message: 'The payment could not be refunded or voided, so the order was not cancelled. Please try again later.', details: error.message });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Get orders assigned to a specific delivery agent (add ?active=true to skip delivered and cancelled orders)
 // @route   GET /api/orders/assigned/:agentId
 // @access  Private/Admin, Delivery Agent (only for themselves)
-router.get('/assigned/:agentId', protect, authorizeRoles('admin', 'delivery-agent'), async (req, res) => {
-  if (req.user.role === 'delivery-agent' && req.user._id.toString() !== req.params.agentId) {
+router.get('/assigned/:agentId', protect, authorizeAnyPermission('orders:read', 'deliveries:update'), async (req, res) => {
+  if (!req.permissions.includes('orders:read') && req.user._id.toString() !== req.params.agentId) {
     return res.status(403).json({ message: 'Not authorized to view other agents\' assigned orders' });
   }
+  if (!mongoose.Types.ObjectId.isValid(req.params.agentId)) {
+    return res.status(400).json({ message: 'Invalid agent ID format' });
+  }
 
   try {
-    const assignedOrders = await Order.find({ assignedTo: req.params.agentId })
-      .populate('user', 'name email')
-      .populate('orderItems.product', 'name images');
+    const query = { deliveryAgent: req.params.agentId };
+    if (req.query.active === 'true') {
+      query.orderStatus = { $nin: Order.FINAL_ORDER_STATUSES };
+    }
+
+    const assignedOrders = await Order.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('orderItems.product', 'name images')
+      .populate('deliverySlot', 'date startTime endTime')
+      .sort({ assignedAt: -1 });
 
     res.json(assignedOrders);
   } catch (error) {
@@ -540,10 +1151,92 @@ router.get('/assigned/:agentId', protect, authorizeRoles('admin', 'delivery-agen
 });
 
 
+// Helper: whether an address has been geocoded
+const hasLocation = (address) => !!address.location && Number.isFinite(address.location.lat);
+
+// @desc    Plan the route through a delivery agent's undelivered orders: the order to visit them in from the depot,
+//          with the estimated distance and arrival time of each stop
+// @route   GET /api/orders/assigned/:agentId/route?lat=...&lng=...&returnToDepot=true
+// @access  Private/Admin, Delivery Agent (only for themselves)
+// The route starts at lat/lng if given (e.g. the agent's current position), otherwise at the depot (DEPOT_LAT, DEPOT_LNG).
+// Orders whose address cannot be geocoded are listed in unlocatedOrders instead of the route.
+router.get('/assigned/:agentId/route', protect, authorizeAnyPermission('orders:read', 'deliveries:update'), [
+  check('lat', 'lat must be a latitude between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+  check('lng', 'lng must be a longitude between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  check('returnToDepot', 'returnToDepot must be true or false').optional().isBoolean(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.permissions.includes('orders:read') && req.user._id.toString() !== req.params.agentId) {
+    return res.status(403).json({ message: 'Not authorized to view other agents\' routes' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.agentId)) {
+    return res.status(400).json({ message: 'Invalid agent ID format' });
+  }
+
+  const { lat, lng } = req.query;
+  const returnToDepot = req.query.returnToDepot === 'true';
+  if ((lat === undefined) !== (lng === undefined)) {
+    return res.status(400).json({ message: 'Give both lat and lng, or neither to start at the depot' });
+  }
+  const depot = lat !== undefined ? { lat: parseFloat(lat), lng: parseFloat(lng) } : getDepotLocation();
+  if (!depot) {
+    return res.status(400).json({ message: 'No depot location is configured (DEPOT_LAT, DEPOT_LNG); give a starting lat and lng' });
+  }
+
+  try {
+    const orders = await Order.find({ deliveryAgent: req.params.agentId, orderStatus: { $nin: Order.FINAL_ORDER_STATUSES } })
+      .select('user shippingAddress orderStatus assignmentStatus deliverySlot deliveryInstructions totalPrice')
+      .populate('user', 'firstName lastName')
+      .populate('deliverySlot', 'date startTime endTime')
+      .sort({ assignedAt: 1 });
+
+    // Orders placed before geocoding (or while the provider was down) are geocoded now and kept for next time
+    for (const order of orders) {
+      if (!hasLocation(order.shippingAddress)) {
+        const location = await geocodeAddress(order.shippingAddress);
+        if (location) {
+          order.shippingAddress.location = location;
+          await Order.updateOne({ _id: order._id }, { $set: { 'shippingAddress.location': location } });
+        }
+      }
+    }
+
+    const locatedOrders = orders.filter(order => hasLocation(order.shippingAddress));
+    const stops = locatedOrders.map(order => ({
+      order: order._id,
+      orderStatus: order.orderStatus,
+      assignmentStatus: order.assignmentStatus,
+      customer: order.user,
+      shippingAddress: order.shippingAddress,
+      deliverySlot: order.deliverySlot,
+      deliveryInstructions: order.deliveryInstructions,
+      location: { lat: order.shippingAddress.location.lat, lng: order.shippingAddress.location.lng },
+    }));
+    const plan = planDeliveryRoute(depot, stops, { returnToDepot });
+
+    res.json({
+      agent: req.params.agentId,
+      start: depot,
+      returnToDepot,
+      ...plan,
+      unlocatedOrders: orders
+        .filter(order => !locatedOrders.includes(order))
+        .map(order => ({ order: order._id, orderStatus: order.orderStatus, shippingAddress: order.shippingAddress })),
+    });
+  } catch (error) {
+    console.error('Error planning delivery route:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+
 // @desc    Admin: Delete an order
 // @route   DELETE /api/orders/:id
 // @access  Private/Admin
-router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
+router.delete('/:id', protect, authorizePermissions('orders:delete'), requireTwoFactor, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -2,15 +2,26 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Order = require('../models/Order');
-const Product = require('../models/Product'); // Import Product model
-const { protect } = require('../middleware/authMiddleware');
+const StockReservation = require('../models/StockReservation'); // Import StockReservation model to commit held stock
+const WebhookEvent = require('../models/WebhookEvent'); // Import WebhookEvent model for the event log
+const { protect, authorizePermissions, requireVerifiedEmail, requireTwoFactor } = require('../middleware/authMiddleware');
+const { check, validationResult } = require('express-validator');
+const sendEmail = require('../utils/sendEmail');
+const { refundOrder, reconcileChargeRefund } = require('../utils/refundOrder');
+const { releaseOrderHolds, reacquireOrderHolds } = require('../utils/orderHolds');
+const { autoDispatchOrder } = require('../utils/autoDispatch');
+const { flushOrderEvents } = require('../utils/orderEvents');
+
+// PaymentIntent statuses in which the customer can still pay (or finish paying)
+const OPEN_PAYMENT_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
 
 // 1. Create Payment Intent
 // POST /api/payments/create-payment-intent
 // This route is called by the frontend when a user wants to pay for an order.
-router.post('/create-payment-intent', protect, async (req, res) => {
+router.post('/create-payment-intent', protect, requireVerifiedEmail, async (req, res) => {
   const { orderId } = req.body;
 
   try {
@@ -30,15 +41,61 @@ router.post('/create-payment-intent', protect, async (req, res) => {
       return res.status(400).json({ message: 'Order has already been paid for' });
     }
 
+    if (order.orderStatus === 'Cancelled') {
+      return res.status(400).json({ message: 'This order has been cancelled' });
+    }
+
+    // Make sure the order still holds its stock (and delivery window) while the customer pays.
+    // This extends an existing hold, or takes the stock back after a failed attempt or expired hold.
+    const session = await Order.startSession();
+    session.startTransaction();
+    try {
+      const holds = await reacquireOrderHolds(order, session);
+      if (!holds.ok) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({ message: holds.message });
+      }
+      if (holds.slotLost) {
+        console.log(`[CREATE PI] Delivery slot for Order ${order._id} filled up before payment; slot cleared.`);
+      }
+      await order.save({ session });
+      await session.commitTransaction();
+      flushOrderEvents(session);
+      session.endSession();
+    } catch (holdError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw holdError;
+    }
+
     // Stripe requires amount in cents/lowest common denominator (e.g., 100 for $1.00)
     const amountInCents = Math.round(order.totalPrice * 100);
 
-    // Create a PaymentIntent with the order amount and currency
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd',
-      metadata: { integration_check: 'accept_a_payment', order_id: order._id.toString() },
-    });
+    // Reuse the order's PaymentIntent while it can still be paid, so an order never has two open at once
+    let paymentIntent = null;
+    if (order.paymentIntentId) {
+      const existing = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+      if (OPEN_PAYMENT_INTENT_STATUSES.includes(existing.status)) {
+        if (existing.amount === amountInCents) {
+          paymentIntent = existing;
+        } else {
+          await stripe.paymentIntents.cancel(existing.id);
+        }
+      }
+    }
+
+    if (!paymentIntent) {
+      // Create a PaymentIntent with the order amount and currency
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: amountInCents,
+        currency: 'usd',
+        metadata: { integration_check: 'accept_a_payment', order_id: order._id.toString() },
+      });
+      // Remembered so cancelling the order can void it (see POST /api/orders/:id/cancel)
+      order.paymentIntentId = paymentIntent.id;
+      await order.save();
+    }
 
     res.json({
       clientSecret: paymentIntent.client_secret,
@@ -54,6 +111,373 @@ router.post('/create-payment-intent', protect, async (req, res) => {
 });
 
 
+// 2. Full Refund (Admin only)
+// POST /api/payments/:orderId/refund
+// Body: { reason?, restock? } - refunds whatever has not been refunded yet
+router.post(
+  '/:orderId/refund',
+  protect,
+  authorizePermissions('orders:refund'),
+  requireTwoFactor, // Money leaves the business, so the admin session must be 2FA-verified
+  [
+    check('reason', 'Reason must be a string').optional().isString(),
+    check('restock', 'restock must be a boolean').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await Order.findById(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      const result = await refundOrder(order, {
+        reason: req.body.reason,
+        restock: req.body.restock === true,
+        refundedBy: req.user._id,
+      });
+      if (result.error) {
+        return res.status(result.error.status).json({ message: result.error.message });
+      }
+
+      console.log(`[REFUND] Full refund ${result.refund.id} issued for Order ${order._id}.`);
+      res.json(result.order);
+    } catch (error) {
+      console.error('[REFUND ERROR] Error issuing full refund:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid order ID format' });
+      }
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ message: 'Stripe refund failed', details: error.message });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// 3. Partial Refund by Line Item (Admin only)
+// POST /api/payments/:orderId/refund-items
+// Body: { items: [{ orderItem: '<order item _id>', quantity: 1 }], reason?, restock? }
+router.post(
+  '/:orderId/refund-items',
+  protect,
+  authorizePermissions('orders:refund'),
+  requireTwoFactor,
+  [
+    check('items', 'At least one item to refund is required').isArray({ min: 1 }),
+    check('items.*.orderItem', 'Order item ID must be a valid ObjectId').custom((value) =>
+      mongoose.Types.ObjectId.isValid(value)
+    ),
+    check('items.*.quantity', 'Quantity must be a positive integer for each item').isInt({ gt: 0 }).toInt(),
+    check('reason', 'Reason must be a string').optional().isString(),
+    check('restock', 'restock must be a boolean').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await Order.findById(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      const result = await refundOrder(order, {
+        items: req.body.items,
+        reason: req.body.reason,
+        restock: req.body.restock === true,
+        refundedBy: req.user._id,
+      });
+      if (result.error) {
+        return res.status(result.error.status).json({ message: result.error.message });
+      }
+
+      console.log(`[REFUND] Partial refund ${result.refund.id} issued for Order ${order._id}.`);
+      res.json(result.order);
+    } catch (error) {
+      console.error('[REFUND ERROR] Error issuing partial refund:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid order ID format' });
+      }
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ message: 'Stripe refund failed', details: error.message });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+
+// Helper: webhook handling for payment_failed, canceled and requires_action.
+// Records the outcome on the order. A failed or cancelled payment also releases the order's holds and emails a retry link;
+// requires_action (e.g. 3-D Secure) only means the customer is still paying, so the holds are kept.
+const PAYMENT_STATUS_BY_EVENT = {
+  'payment_intent.payment_failed': 'Failed',
+  'payment_intent.canceled': 'Cancelled',
+  'payment_intent.requires_action': 'Requires Action',
+};
+
+const handleUnsuccessfulPayment = async (paymentIntent, eventType) => {
+  const orderId = paymentIntent.metadata.order_id;
+  if (!orderId) {
+    console.warn(`[WEBHOOK WARN] ${eventType} received, but no order_id in metadata for PI: ${paymentIntent.id}.`);
+    return 'No order_id in metadata';
+  }
+
+  const order = await Order.findById(orderId).populate('user', 'firstName email');
+  if (!order) {
+    console.warn(`[WEBHOOK WARN] Order with ID ${orderId} not found in DB for PI: ${paymentIntent.id}.`);
+    return `Order ${orderId} not found`;
+  }
+
+  if (order.isPaid) {
+    console.log(`[WEBHOOK] Order ${orderId} is already paid. Ignoring ${eventType}.`);
+    return `Order ${orderId} already paid`;
+  }
+
+  // Voiding the PaymentIntent of a cancelled order, or one replaced by a new intent, is not a payment problem
+  if (order.orderStatus === 'Cancelled') {
+    console.log(`[WEBHOOK] Order ${orderId} is cancelled. Ignoring ${eventType}.`);
+    return `Order ${orderId} is cancelled`;
+  }
+  if (order.paymentIntentId && paymentIntent.id !== order.paymentIntentId) {
+    console.log(`[WEBHOOK] ${eventType} for PI ${paymentIntent.id} is not Order ${orderId}'s current PaymentIntent. Ignoring.`);
+    return `PI ${paymentIntent.id} is no longer used by Order ${orderId}`;
+  }
+
+  const paymentError = paymentIntent.last_payment_error;
+  order.paymentStatus = PAYMENT_STATUS_BY_EVENT[eventType];
+  order.paymentResult = {
+    id: paymentIntent.id,
+    status: paymentIntent.status,
+    update_time: new Date().toISOString(),
+    failure_code: paymentError?.decline_code || paymentError?.code || paymentIntent.cancellation_reason || undefined,
+    failure_message: paymentError?.message ||
+      (eventType === 'payment_intent.requires_action' ? 'Additional authentication is required to complete the payment.' : undefined),
+  };
+
+  if (eventType === 'payment_intent.requires_action') {
+    await order.save();
+    console.log(`[WEBHOOK] Order ${orderId} is waiting for the customer to authenticate the payment.`);
+    return `Order ${orderId} marked payment ${order.paymentStatus}`;
+  }
+
+  const session = await Order.startSession();
+  session.startTransaction();
+  try {
+    await releaseOrderHolds(order, eventType === 'payment_intent.canceled' ? 'payment_cancelled' : 'payment_failed', session);
+    await order.save({ session });
+    await session.commitTransaction();
+    flushOrderEvents(session);
+    session.endSession();
+  } catch (transactionError) {
+    await session.abortTransaction();
+    session.endSession();
+    throw transactionError;
+  }
+
+  console.log(`[WEBHOOK] Order ${orderId} marked payment ${order.paymentStatus}; stock, delivery slot and coupon use released.`);
+
+  // --- EMAIL THE CUSTOMER A LINK TO RETRY PAYMENT ---
+  const retryUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order._id}/pay`;
+  const emailContent = `
+    <p>Dear ${order.user.firstName || 'customer'},</p>
+    <p>We could not complete the payment for your order #${order._id}.</p>
+    ${order.paymentResult.failure_message ? `<p><strong>Reason:</strong> ${order.paymentResult.failure_message}</p>` : ''}
+    <p><strong>Total Price:</strong> $${order.totalPrice}</p>
+    <p>Your items are no longer reserved. You can try again here: <a href="${retryUrl}">${retryUrl}</a></p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  try {
+    await sendEmail({
+      email: order.user.email,
+      subject: `Payment issue with your Order #${order._id}`,
+      html: emailContent,
+    });
+    console.log(`[WEBHOOK] Payment retry email sent for order ${order._id} to ${order.user.email}`);
+  } catch (emailError) {
+    console.error(`[WEBHOOK ERROR] Failed to send payment retry email for order ${order._id}:`, emailError);
+  }
+
+  return `Order ${orderId} marked payment ${order.paymentStatus}`;
+};
+
+
+// Helper: an error that carries the HTTP status the webhook should answer Stripe with
+const webhookError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: refund a payment that arrived after the order was cancelled (e.g. completed with an old client secret).
+// The order is already marked paid; if the refund fails it is left for an admin to refund by hand.
+const refundPaymentAfterCancel = async (order) => {
+  try {
+    const result = await refundOrder(order, { reason: 'Paid after the order was cancelled', source: 'system' });
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+    console.log(`[WEBHOOK] Order ${order._id} was paid after it was cancelled; payment refunded (${result.refund.id}).`);
+    return `Order ${order._id} paid after cancellation; refunded`;
+  } catch (refundError) {
+    console.error(`[WEBHOOK ERROR] Order ${order._id} was paid after it was cancelled and could not be refunded: ${refundError.message}. Manual refund needed.`);
+    return `Order ${order._id} paid after cancellation; refund failed, manual refund needed`;
+  }
+};
+
+// Helper: webhook handling for payment_intent.succeeded.
+// Marks the order paid and commits the stock held at order creation.
+const handlePaymentSucceeded = async (paymentIntent) => {
+  console.log(`[WEBHOOK] PaymentIntent ${paymentIntent.id} succeeded for amount ${paymentIntent.amount}!`);
+
+  const orderId = paymentIntent.metadata.order_id;
+  console.log(`[WEBHOOK] Attempting to find Order with ID from metadata: ${orderId}`);
+
+  if (!orderId) {
+    console.warn(`[WEBHOOK WARN] payment_intent.succeeded received, but no order_id in metadata for PI: ${paymentIntent.id}.`);
+    throw webhookError(400, 'No order ID in metadata for processing');
+  }
+
+  const session = await Order.startSession(); // Start a session for transaction
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session); // Use session for finding order
+
+    if (!order) {
+      console.warn(`[WEBHOOK WARN] Order with ID ${orderId} not found in DB for PI: ${paymentIntent.id}.`);
+      throw webhookError(404, 'Order not found');
+    }
+
+    if (order.isPaid) {
+      console.log(`[WEBHOOK] Order ${orderId} already marked as paid. No update needed.`);
+      await session.abortTransaction(); // Still abort the transaction if nothing changed
+      return `Order ${orderId} already paid`;
+    }
+
+    // Update the order status in your database
+    order.isPaid = true;
+    order.paymentStatus = 'Paid';
+    order.paidAt = new Date(paymentIntent.created * 1000);
+    order.paymentResult = {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      update_time: new Date(paymentIntent.created * 1000),
+      email_address: paymentIntent.receipt_email ||
+                      (paymentIntent.charges?.data && paymentIntent.charges.data.length > 0 ? paymentIntent.charges.data[0].billing_details?.email : undefined) ||
+                      'N/A'
+    };
+    // A cancelled order will never ship: record the payment, then refund it below instead of taking its stock
+    const paidAfterCancel = order.orderStatus === 'Cancelled';
+
+    // Move to Processing after payment success (only from Pending)
+    if (order.canTransitionTo('Processing')) {
+      order.transitionStatus('Processing', { note: 'Payment received' });
+    } else {
+      console.warn(`[WEBHOOK WARN] Order ${orderId} was paid while '${order.orderStatus}'. Status left unchanged.`);
+    }
+
+    // --- COMMIT THE STOCK HELD AT ORDER CREATION (no second decrement) ---
+    // If the hold was released meanwhile (failed attempt or expiry), take the stock again first.
+    let holds = { ok: true };
+    if (!paidAfterCancel) {
+      holds = await reacquireOrderHolds(order, session);
+      if (!holds.ok) {
+        // The customer has already been charged, so record the payment anyway and flag it for an admin
+        console.error(`[WEBHOOK ERROR] Order ${orderId} was paid but its stock could not be re-reserved: ${holds.message}. Manual review or refund needed.`);
+      } else {
+        await StockReservation.commitForOrder(order._id, session);
+      }
+    }
+
+    await order.save({ session }); // Save order changes within the transaction
+    await session.commitTransaction(); // Commit all changes if successful
+    flushOrderEvents(session);
+
+    if (paidAfterCancel) {
+      return refundPaymentAfterCancel(order);
+    }
+
+    console.log(`[WEBHOOK SUCCESS] Order ${orderId} successfully updated to paid and Processing, and stock reservation committed.`);
+
+    // Hand the order to a delivery agent now that it can be prepared (never fails the webhook)
+    if (order.orderStatus === 'Processing') {
+      await autoDispatchOrder(order._id, { trigger: 'payment' });
+    }
+    return holds.ok ? `Order ${orderId} marked paid` : `Order ${orderId} marked paid, but stock could not be re-reserved`;
+  } catch (transactionError) {
+    if (session.inTransaction()) {
+      await session.abortTransaction(); // Rollback all changes on error
+    }
+    if (!transactionError.statusCode) {
+      console.error(`[WEBHOOK DB ERROR] Transaction failed for order ${orderId}:`, transactionError);
+    }
+    throw transactionError;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Helper: webhook handling for charge.refunded (refunds made here or in the Stripe dashboard)
+const handleChargeRefunded = async (charge) => {
+  const refundedOrder = await reconcileChargeRefund(charge);
+  if (!refundedOrder) {
+    console.warn(`[WEBHOOK WARN] charge.refunded received, but no order found for PI: ${charge.payment_intent}.`);
+    return `No order found for PI ${charge.payment_intent}`;
+  }
+  console.log(`[WEBHOOK] Order ${refundedOrder._id} refund total reconciled to ${refundedOrder.refundedAmount}.`);
+  return `Order ${refundedOrder._id} refund total reconciled to ${refundedOrder.refundedAmount}`;
+};
+
+// Helper: routes a verified Stripe event to its handler.
+// Returns a short note on what was done; throws (with statusCode) if the event could not be processed.
+const processStripeEvent = async (event) => {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return handlePaymentSucceeded(event.data.object);
+
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+    case 'payment_intent.requires_action':
+      console.log(`[WEBHOOK] PaymentIntent ${event.data.object.id} ${event.type}: ${event.data.object.last_payment_error?.message || event.data.object.status}`);
+      return handleUnsuccessfulPayment(event.data.object, event.type);
+
+    case 'charge.refunded':
+      return handleChargeRefunded(event.data.object);
+
+    default:
+      console.log(`[WEBHOOK INFO] Unhandled event type: ${event.type}`);
+      return 'Unhandled event type';
+  }
+};
+
+// Helper: processes an event that has been claimed in the WebhookEvent log and records the outcome
+const runLoggedEvent = async (eventRecord, event) => {
+  try {
+    const result = await processStripeEvent(event);
+    eventRecord.status = 'processed';
+    eventRecord.result = result;
+    eventRecord.error = undefined;
+    eventRecord.processedAt = new Date();
+    await eventRecord.save();
+    return { ok: true, result };
+  } catch (error) {
+    eventRecord.status = 'failed';
+    eventRecord.error = error.message;
+    await eventRecord.save();
+    return { ok: false, statusCode: error.statusCode || 500, error };
+  }
+};
+
+
 // Stripe Webhook Endpoint
 // POST /api/payments/webhook
 router.post('/webhook', async (req, res) => {
@@ -74,106 +498,126 @@ router.post('/webhook', async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log(`[WEBHOOK] PaymentIntent ${paymentIntent.id} succeeded for amount ${paymentIntent.amount}!`);
+  // --- IDEMPOTENCY: record the event once; skip ids we have already processed (or are processing) ---
+  let eventRecord;
+  try {
+    eventRecord = await WebhookEvent.create({ eventId: event.id, type: event.type, payload: event });
+  } catch (logError) {
+    if (logError.code !== 11000) {
+      console.error(`[WEBHOOK DB ERROR] Failed to log event ${event.id}:`, logError);
+      return res.status(500).send('Database operation failed');
+    }
 
-      const orderId = paymentIntent.metadata.order_id;
-      console.log(`[WEBHOOK] Attempting to find Order with ID from metadata: ${orderId}`);
+    // Seen before: only a previously failed or abandoned event is processed again (Stripe retrying after our 500)
+    eventRecord = await WebhookEvent.findOneAndUpdate(
+      { eventId: event.id, ...WebhookEvent.claimableFilter() },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!eventRecord) {
+      console.log(`[WEBHOOK] Duplicate event ${event.id} (${event.type}) skipped.`);
+      return res.json({ received: true, duplicate: true });
+    }
+  }
 
-      if (!orderId) {
-        console.warn(`[WEBHOOK WARN] payment_intent.succeeded received, but no order_id in metadata for PI: ${paymentIntent.id}.`);
-        return res.status(400).send('No order ID in metadata for processing');
-      }
+  const outcome = await runLoggedEvent(eventRecord, event);
+  if (!outcome.ok) {
+    return res.status(outcome.statusCode).send(`Webhook processing failed: ${outcome.error.message}`);
+  }
 
-      try {
-        const session = await Order.startSession(); // Start a session for transaction
-        session.startTransaction();
-
-        try {
-            const order = await Order.findById(orderId).session(session); // Use session for finding order
-
-            if (!order) {
-                console.warn(`[WEBHOOK WARN] Order with ID ${orderId} not found in DB for PI: ${paymentIntent.id}.`);
-                await session.abortTransaction();
-                session.endSession();
-                return res.status(404).send('Order not found');
-            }
-
-            if (order.isPaid) {
-                console.log(`[WEBHOOK] Order ${orderId} already marked as paid. No update needed.`);
-                await session.abortTransaction(); // Still abort the transaction if nothing changed
-                session.endSession();
-                return res.json({ received: true });
-            }
-
-            // Update the order status in your database
-            order.isPaid = true;
-            order.paidAt = new Date(paymentIntent.created * 1000);
-            order.paymentResult = {
-                id: paymentIntent.id,
-                status: paymentIntent.status,
-                update_time: new Date(paymentIntent.created * 1000),
-                email_address: paymentIntent.receipt_email ||
-                                (paymentIntent.charges?.data && paymentIntent.charges.data.length > 0 ? paymentIntent.charges.data[0].billing_details?.email : undefined) ||
-                                'N/A'
-            };
-            order.orderStatus = 'Processing'; // Optionally move to Processing after payment success
-
-            // --- CRUCIAL: STOCK REDUCTION ---
-            for (const item of order.orderItems) {
-                const product = await Product.findById(item.product).session(session); // Find product within the transaction
-
-                if (product) {
-                    if (product.stockQuantity < item.quantity) {
-                        // This case *should* ideally not happen if initial check in order creation is strong,
-                        // but good to have a fallback.
-                        console.error(`[WEBHOOK ERROR] Insufficient stock for product ${product.name} (ID: ${product._id}) during webhook stock reduction for Order ${orderId}. Requested: ${item.quantity}, Available: ${product.stockQuantity}`);
-                        // You might want to handle this more robustly (e.g., alert admin, mark order as problematic)
-                        await session.abortTransaction(); // Abort the whole transaction if stock is now insufficient
-                        session.endSession();
-                        return res.status(409).send(`Conflict: Insufficient stock for ${product.name}`);
-                    }
-                    product.stockQuantity -= item.quantity;
-                    await product.save({ session }); // Save product changes within the transaction
-                    console.log(`[WEBHOOK] Reduced stock for ${product.name}. New stock: ${product.stockQuantity}`);
-                } else {
-                    console.warn(`[WEBHOOK WARN] Product with ID ${item.product} not found during stock reduction for Order ${orderId}.`);
-                }
-            }
-            // --- END STOCK REDUCTION ---
-
-            await order.save({ session }); // Save order changes within the transaction
-            await session.commitTransaction(); // Commit all changes if successful
-            session.endSession();
-
-            console.log(`[WEBHOOK SUCCESS] Order ${orderId} successfully updated to paid and Processing, and product stock reduced.`);
-
-        } catch (transactionError) {
-            await session.abortTransaction(); // Rollback all changes on error
-            session.endSession();
-            console.error(`[WEBHOOK DB ERROR] Transaction failed for order ${orderId}:`, transactionError);
-            return res.status(500).send('Database transaction failed during webhook processing');
-        }
+  res.json({ received: true });
+});
 
-      } catch (dbError) { // Catch for session start errors
-        console.error(`[WEBHOOK DB ERROR] Failed to update order ${orderId} or start transaction:`, dbError);
-        return res.status(500).send('Database operation failed');
-      }
-      break;
 
-    case 'payment_intent.payment_failed':
-      const paymentIntentFailed = event.data.object;
-      console.log(`PaymentIntent ${paymentIntentFailed.id} failed: ${paymentIntentFailed.last_payment_error?.message}`);
-      // TODO: Implement logic for failed payments (e.g., notify user, log, update order status to 'Failed')
-      break;
+// --- WEBHOOK EVENT LOG (Admin only) ---
 
-    default:
-      console.log(`[WEBHOOK INFO] Unhandled event type: ${event.type}`);
+// @desc    List received Stripe webhook events with filters and pagination
+// @route   GET /api/payments/webhook-events?status=failed&type=payment_intent.succeeded&page=1&limit=20
+// @access  Private/Admin
+router.get('/webhook-events', protect, authorizePermissions('payments:webhooks'), async (req, res) => {
+  try {
+    const { status, type, orderId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (orderId) query['payload.data.object.metadata.order_id'] = orderId;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [events, totalEvents] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload') // Payloads can be large; fetch a single event to see it
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      events,
+      page: parseInt(page) || 1,
+      pages: Math.ceil(totalEvents / pageSize),
+      totalEvents,
+      limit: pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
   }
+});
 
-  res.json({ received: true });
+// @desc    Get a single webhook event, including its payload
+// @route   GET /api/payments/webhook-events/:id
+// @access  Private/Admin
+router.get('/webhook-events/:id', protect, authorizePermissions('payments:webhooks'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook event ID format' });
+    }
+
+    const eventRecord = await WebhookEvent.findById(req.params.id);
+    if (!eventRecord) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+    res.json(eventRecord);
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Replay a failed webhook event (or one stuck processing for over 5 minutes) from its stored payload
+// @route   POST /api/payments/webhook-events/:id/replay
+// @access  Private/Admin
+router.post('/webhook-events/:id/replay', protect, authorizePermissions('payments:webhooks'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook event ID format' });
+    }
+
+    // Claim the event atomically so a replay can't run alongside a Stripe retry
+    const eventRecord = await WebhookEvent.findOneAndUpdate(
+      { _id: req.params.id, ...WebhookEvent.claimableFilter() },
+      { $set: { status: 'processing', lastReplayedBy: req.user._id }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!eventRecord) {
+      const exists = await WebhookEvent.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Only failed events, or events stuck processing for over 5 minutes, can be replayed.' })
+        : res.status(404).json({ message: 'Webhook event not found' });
+    }
+
+    console.log(`[WEBHOOK] Admin ${req.user._id} replaying event ${eventRecord.eventId} (${eventRecord.type}).`);
+    const outcome = await runLoggedEvent(eventRecord, eventRecord.payload);
+
+    res.status(outcome.ok ? 200 : 422).json(eventRecord);
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
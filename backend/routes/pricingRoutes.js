@@ -0,0 +1,252 @@
+// backend/routes/pricingRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const TaxRate = require('../models/TaxRate');
+const ShippingZone = require('../models/ShippingZone');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+// Every pricing rule route is admin-only
+router.use(protect, authorizePermissions('pricing:manage'));
+
+// Helper: send a Mongoose error as a 400 where it's the client's fault, otherwise a 500
+const handleRuleError = (res, error, duplicateMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ message: 'Validation Error: ' + messages.join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: duplicateMessage });
+  }
+  res.status(500).json({ message: 'Server Error', details: error.message });
+};
+
+
+// --- TAX RATES ---
+
+const TAX_RATE_FIELDS = ['country', 'region', 'rate', 'isActive'];
+
+// @desc    Get all tax rates
+// @route   GET /api/pricing/tax-rates
+// @access  Private/Admin
+router.get('/tax-rates', async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find({}).sort({ country: 1, region: 1 });
+    res.json(taxRates);
+  } catch (error) {
+    console.error('Error fetching tax rates:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @desc    Create a tax rate for a country or region
+// @route   POST /api/pricing/tax-rates
+// @access  Private/Admin
+router.post(
+  '/tax-rates',
+  [
+    check('country', 'Country is required').not().isEmpty(),
+    check('region', 'Region must be a string').optional({ values: 'null' }).isString(),
+    check('rate', 'Rate must be a fraction between 0 and 1').isFloat({ min: 0, max: 1 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const data = {};
+      TAX_RATE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      const createdTaxRate = await TaxRate.create(data);
+      res.status(201).json(createdTaxRate);
+    } catch (error) {
+      console.error('Error creating tax rate:', error);
+      handleRuleError(res, error, 'A tax rate for this country and region already exists.');
+    }
+  }
+);
+
+// @desc    Update a tax rate
+// @route   PUT /api/pricing/tax-rates/:id
+// @access  Private/Admin
+router.put(
+  '/tax-rates/:id',
+  [
+    check('country', 'Country must not be empty').optional().not().isEmpty(),
+    check('region', 'Region must be a string').optional({ values: 'null' }).isString(),
+    check('rate', 'Rate must be a fraction between 0 and 1').optional().isFloat({ min: 0, max: 1 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid tax rate ID format' });
+      }
+
+      const taxRate = await TaxRate.findById(req.params.id);
+      if (!taxRate) {
+        return res.status(404).json({ message: 'Tax rate not found' });
+      }
+
+      TAX_RATE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) taxRate[field] = req.body[field];
+      });
+
+      const updatedTaxRate = await taxRate.save();
+      res.json(updatedTaxRate);
+    } catch (error) {
+      console.error('Error updating tax rate:', error);
+      handleRuleError(res, error, 'A tax rate for this country and region already exists.');
+    }
+  }
+);
+
+// @desc    Delete a tax rate
+// @route   DELETE /api/pricing/tax-rates/:id
+// @access  Private/Admin
+router.delete('/tax-rates/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid tax rate ID format' });
+    }
+
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    res.json({ message: 'Tax rate removed' });
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+
+// --- SHIPPING ZONES ---
+
+const SHIPPING_ZONE_FIELDS = [
+  'name', 'country', 'postalCodePrefixes', 'isDefault', 'baseFee',
+  'freeShippingThreshold', 'tierBasis', 'tiers', 'isActive'
+];
+
+// Shared validation for create (required fields) and update (everything optional)
+const shippingZoneValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(check('name', 'Zone name is required').not().isEmpty()),
+    required(check('baseFee', 'Base fee must be a non-negative number').isFloat({ min: 0 })),
+    check('country', 'Country must be a string').optional({ values: 'null' }).isString(),
+    check('postalCodePrefixes', 'Postal code prefixes must be an array').optional().isArray(),
+    check('postalCodePrefixes.*', 'Each postal code prefix must be a non-empty string').optional().isString().not().isEmpty(),
+    check('isDefault', 'isDefault must be a boolean').optional().isBoolean(),
+    check('freeShippingThreshold', 'Free shipping threshold must be a non-negative number').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('tierBasis', 'Tier basis must be none, weight or itemCount').optional().isIn(['none', 'weight', 'itemCount']),
+    check('tiers', 'Tiers must be an array').optional().isArray(),
+    check('tiers.*.upTo', 'Each tier needs a non-negative upTo value').optional().isFloat({ min: 0 }),
+    check('tiers.*.fee', 'Each tier needs a non-negative fee').optional().isFloat({ min: 0 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  ];
+};
+
+// @desc    Get all shipping zones
+// @route   GET /api/pricing/shipping-zones
+// @access  Private/Admin
+router.get('/shipping-zones', async (req, res) => {
+  try {
+    const shippingZones = await ShippingZone.find({}).sort({ name: 1 });
+    res.json(shippingZones);
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @desc    Create a shipping zone
+// @route   POST /api/pricing/shipping-zones
+// @access  Private/Admin
+router.post('/shipping-zones', shippingZoneValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const data = {};
+    SHIPPING_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const createdZone = await ShippingZone.create(data);
+    res.status(201).json(createdZone);
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+    handleRuleError(res, error, 'A shipping zone with this name already exists.');
+  }
+});
+
+// @desc    Update a shipping zone
+// @route   PUT /api/pricing/shipping-zones/:id
+// @access  Private/Admin
+router.put('/shipping-zones/:id', shippingZoneValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid shipping zone ID format' });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    SHIPPING_ZONE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+
+    const updatedZone = await zone.save();
+    res.json(updatedZone);
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+    handleRuleError(res, error, 'A shipping zone with this name already exists.');
+  }
+});
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/pricing/shipping-zones/:id
+// @access  Private/Admin
+router.delete('/shipping-zones/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid shipping zone ID format' });
+    }
+
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    res.json({ message: 'Shipping zone removed' });
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { protect, authorizePermissions, requireTwoFactor } = require('../middleware/authMiddleware');
 const mongoose = require('mongoose'); // Import mongoose to use mongoose.Types.ObjectId
 const Category = require('../models/Category'); // This import is fine, it's just not directly used in THIS file's logic
 const { check, validationResult } = require('express-validator'); // <--- ENSURE THIS IS IMPORTED
@@ -11,7 +11,7 @@ const { check, validationResult } = require('express-validator'); // <--- ENSURE
 
 // 1. Get Low Stock Products (Admin only)
 // GET /api/products/admin/low-stock?threshold=10
-router.get('/admin/low-stock', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/low-stock', protect, authorizePermissions('inventory:read'), async (req, res) => {
   try {
     // Get the threshold from query parameters, default to 10 if not provided
     const threshold = parseInt(req.query.threshold) || 10;
@@ -142,16 +142,17 @@ router.get('/:id', async (req, res) => {
 
 // 3. CREATE a new product (Admin Only) - MODIFIED WITH ACCURATE VALIDATION AND ERROR HANDLING
 // POST /api/products
-// Apply 'protect' to ensure user is logged in, and 'authorizeRoles('admin')' to ensure they are an admin
+// Apply 'protect' to ensure user is logged in, and 'authorizePermissions('products:write')' to ensure their role may edit products
 router.post(
   '/',
   protect,
-  authorizeRoles('admin'),
+  authorizePermissions('products:write'),
   [ // <--- START VALIDATION MIDDLEWARE ARRAY (CRITICAL TO INCLUDE THIS ARRAY)
     check('name', 'Product name is required').not().isEmpty(),
     check('description', 'Product description is required').not().isEmpty(),
     check('price', 'Price is required and must be a positive number').isFloat({ gt: 0 }),
     check('stockQuantity', 'Stock quantity is required and must be a non-negative integer').isInt({ min: 0 }),
+    check('weight', 'Weight must be a non-negative number (kg)').optional().isFloat({ min: 0 }),
 
     // Category Validation - THIS IS THE CRUCIAL PART FOR YOUR CURRENT ERROR
     check('category', 'Category ID is required').not().isEmpty(),
@@ -181,7 +182,7 @@ router.post(
     }
     // --- END CRITICAL VALIDATION CHECK BLOCK ---
 
-    const { name, description, price, stockQuantity, category, subCategory, images, isOnSale, discountPrice } = req.body;
+    const { name, description, price, stockQuantity, weight, category, subCategory, images, isOnSale, discountPrice } = req.body;
 
     try {
       // Validate if main category ID exists in the database
@@ -204,6 +205,7 @@ router.post(
         description,
         price,
         stockQuantity,
+        weight,
         category,
         subCategory,
         images,
@@ -238,12 +240,13 @@ router.post(
 router.put(
   '/:id',
   protect,
-  authorizeRoles('admin'),
+  authorizePermissions('products:write'),
   [ // <--- START VALIDATION MIDDLEWARE ARRAY
     check('name', 'Product name must not be empty').not().isEmpty().optional(),
     check('description', 'Product description must not be empty').not().isEmpty().optional(),
     check('price', 'Price must be a positive number').isFloat({ gt: 0 }).optional(),
     check('stockQuantity', 'Stock quantity must be a non-negative integer').isInt({ min: 0 }).optional(),
+    check('weight', 'Weight must be a non-negative number (kg)').optional().isFloat({ min: 0 }),
 
     // Category Validation (optional for update, but if present, must be valid)
     check('category', 'Category ID must be a valid ObjectId').optional().custom((value) =>
@@ -276,6 +279,7 @@ router.put(
       description,
       price,
       stockQuantity,
+      weight,
       category,
       subCategory,
       images,
@@ -319,6 +323,7 @@ router.put(
       if (description !== undefined) product.description = description;
       if (price !== undefined) product.price = price;
       if (stockQuantity !== undefined) product.stockQuantity = stockQuantity;
+      if (weight !== undefined) product.weight = weight;
       if (category !== undefined) product.category = category;
       if (subCategory !== undefined) product.subCategory = subCategory;
       if (images !== undefined) product.images = images;
@@ -352,8 +357,8 @@ router.put(
 
 // 5. DELETE a product (Admin Only)
 // DELETE /api/products/:id
-// Apply 'protect' and 'authorizeRoles('admin')'
-router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
+// Apply 'protect' and 'authorizePermissions('products:delete')'
+router.delete('/:id', protect, authorizePermissions('products:delete'), requireTwoFactor, async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
 
@@ -0,0 +1,177 @@
+// backend/routes/roleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, authorizePermissions, requireTwoFactor } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+
+// Shared validation for create (name required) and update (everything optional)
+const roleValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(check('name', 'Role name may only contain lowercase letters, numbers and dashes').matches(/^[a-z][a-z0-9-]*$/)),
+    check('description', 'Description must be a string').optional().isString(),
+    check('permissions', 'Permissions must be an array').optional().isArray(),
+    check('permissions.*').custom((value) => {
+      if (!Role.PERMISSIONS[value]) {
+        throw new Error(`Unknown permission: ${value}`);
+      }
+      return true;
+    }),
+  ];
+};
+
+// Mongoose errors for a create/update, or null if the error isn't a client error
+const roleErrorResponse = (error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return { status: 400, message: messages.join(', ') };
+  }
+  if (error.code === 11000) {
+    return { status: 400, message: 'A role with this name already exists.' };
+  }
+  return null;
+};
+
+router.use(protect, authorizePermissions('roles:manage'));
+
+
+// @desc    List every permission that can be given to a role
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+  const permissions = Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }));
+  res.json(permissions);
+});
+
+// @desc    Get all roles, with how many users have each
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find({}).sort({ name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+    const userCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json(roles.map(role => ({
+      ...role,
+      // The admin role always has every permission, whatever is stored
+      permissions: role.name === Role.SUPER_ROLE ? Object.keys(Role.PERMISSIONS) : role.permissions,
+      userCount: userCounts[role.name] || 0,
+    })));
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles:manage, 2FA-verified session)
+router.post('/', requireTwoFactor, roleValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, permissions } = req.body;
+    const role = await Role.create({ name, description, permissions: [...new Set(permissions || [])] });
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Error creating role:', error);
+    const clientError = roleErrorResponse(error);
+    if (clientError) {
+      return res.status(clientError.status).json({ message: clientError.message });
+    }
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Update a role's description or permissions (custom roles can also be renamed)
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage, 2FA-verified session)
+router.put('/:id', requireTwoFactor, roleValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid role ID format' });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.name === Role.SUPER_ROLE) {
+      return res.status(400).json({ message: 'The admin role always has every permission and cannot be changed.' });
+    }
+
+    const { name, description, permissions } = req.body;
+    const oldName = role.name;
+    if (name !== undefined && name !== role.name) {
+      if (role.isSystem) {
+        return res.status(400).json({ message: 'Built-in roles cannot be renamed.' });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+    const updatedRole = await role.save();
+
+    // Users keep their role when it is renamed
+    if (updatedRole.name !== oldName) {
+      await User.updateMany({ role: oldName }, { $set: { role: updatedRole.name } });
+    }
+
+    res.json(updatedRole);
+  } catch (error) {
+    console.error('Error updating role:', error);
+    const clientError = roleErrorResponse(error);
+    if (clientError) {
+      return res.status(clientError.status).json({ message: clientError.message });
+    }
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Delete a custom role that no user has
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage, 2FA-verified session)
+router.delete('/:id', requireTwoFactor, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid role ID format' });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+    }
+
+    const usersWithRole = await User.countDocuments({ role: role.name });
+    if (usersWithRole > 0) {
+      return res.status(400).json({ message: `This role is still assigned to ${usersWithRole} user(s). Move them to another role first.` });
+    }
+
+    await role.deleteOne();
+    res.json({ message: 'Role removed' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,130 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const { protect, authorizePermissions, requireTwoFactor } = require('../middleware/authMiddleware');
 const generateToken = require('../utils/generateToken');
+const jwt = require('jsonwebtoken');
 const sendEmail = require('../utils/sendEmail');
 const { check, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { sendVerificationEmail, verifyEmailVerificationToken } = require('../utils/emailVerification');
+const { generateTotpSecret, buildOtpauthUri } = require('../utils/totp');
+const { recordLoginAttempt } = require('../utils/loginActivity');
+const LoginHistory = require('../models/LoginHistory');
+const { geocodeAddress } = require('../utils/geocoding');
+
+// Minimum time between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Starts a new login session: a short-lived access token plus a refresh token stored server-side
+const issueAuthTokens = async (user, req, { twoFactorVerified = false } = {}) => {
+  const { token: refreshToken, sessionId } = await RefreshToken.issue(user._id, {
+    twoFactorVerified,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  return { token: generateToken(user._id, user.role, sessionId), refreshToken };
+};
+
+// Two-factor authentication is for staff, i.e. users whose role has any permission (admins, delivery agents, ...)
+const staffOnly = (req, res, next) => {
+  if (!req.permissions || req.permissions.length === 0) {
+    return res.status(403).json({ message: 'Two-factor authentication is only available for staff accounts.' });
+  }
+  next();
+};
+
+// Staff may only manage accounts whose role has no permission they don't have themselves
+// (so e.g. a support agent can't block or edit an admin)
+const canManageUser = async (req, targetUser) => {
+  const targetPermissions = await Role.getPermissions(targetUser.role);
+  return targetPermissions.every(permission => req.permissions.includes(permission));
+};
+
+// Short-lived token returned by /login when a 2FA code is still needed. It can't be used as an
+// access token ('protect' only accepts tokens with a session id).
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-challenge';
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign({ id: user._id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+// Checks a 6-digit authenticator code (each works only once), or else uses up a backup code.
+// The user must be loaded with '+twoFactorSecret +twoFactorBackupCodes'. Either kind of code is used up in the database.
+const checkTwoFactorCode = async (user, code) => {
+  if (await user.useTwoFactorCode(code)) {
+    return { ok: true, usedBackupCode: false };
+  }
+  if (code && (await user.useTwoFactorBackupCode(code))) {
+    return { ok: true, usedBackupCode: true };
+  }
+  return { ok: false };
+};
+
+// Response for a login attempt on a locked account
+const accountLockedResponse = (res, lockUntil) => {
+  return res.status(423).json({
+    message: `Too many failed login attempts. Your account is locked until ${lockUntil.toISOString()}. You can reset your password to unlock it now.`,
+    lockedUntil: lockUntil,
+  });
+};
+
+// Counts a failed password or 2FA code, records it, and answers with 423 if it locked the account
+const handleFailedLogin = async (user, req, res, failureReason, message) => {
+  const lockUntil = await user.registerFailedLogin();
+  await recordLoginAttempt(user, req, { success: false, failureReason });
+  if (lockUntil) {
+    return accountLockedResponse(res, lockUntil);
+  }
+  return res.status(401).json({ message });
+};
+
+// One page of a user's login history (newest first); ?success=true|false filters by outcome
+const getLoginHistoryPage = async (userId, { page = 1, limit = 20, success }) => {
+  const query = { user: userId };
+  if (success === 'true' || success === 'false') {
+    query.success = success === 'true';
+  }
+
+  const pageSize = Math.min(parseInt(limit) || 20, 100);
+  const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+  const [entries, totalEntries] = await Promise.all([
+    LoginHistory.find(query)
+      .select('-deviceHash -user')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    LoginHistory.countDocuments(query),
+  ]);
+
+  return {
+    entries,
+    page: parseInt(page) || 1,
+    pages: Math.ceil(totalEntries / pageSize),
+    totalEntries,
+    limit: pageSize
+  };
+};
+
+// User data returned after a successful login
+const loginResponse = (user, { token, refreshToken }) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  role: user.role,
+  isBlocked: user.isBlocked,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  addresses: user.addresses, // Include addresses in login response
+  token,
+  refreshToken,
+});
 
 
 // 1. User Registration - MODIFIED WITH FULL VALIDATION
@@ -47,12 +166,12 @@ router.post(
       // --- 3. Determine User Role ---
       let userRole = 'customer'; // Default role
       // This logic correctly assumes it might not be an admin call, so req.user might be undefined
-      if (req.user && req.user.role === 'admin' && ['admin', 'delivery-agent'].includes(role)) {
-        userRole = role; // Admin can assign specific roles
+      if (req.user && req.permissions.includes('roles:manage') && role && (await Role.exists({ name: role }))) {
+        userRole = role; // Users who manage roles can assign specific roles
       }
       // Note: If /register is a public route, req.user will be undefined.
       // If you intend for this route to be ONLY for admins to create users,
-      // then you would add `protect, authorizeRoles('admin')` before the `[check(...)]` middleware.
+      // then you would add `protect, authorizePermissions('roles:manage')` before the `[check(...)]` middleware.
       // Assuming it's public for now based on your provided code structure.
 
       // --- 4. Create User ---
@@ -67,8 +186,18 @@ router.post(
 
       // --- 5. Respond with User Data and Token ---
       if (user) {
-        // Assuming generateToken is a utility function or a method on the User model
-        const token = user.getSignedJwtToken ? user.getSignedJwtToken() : generateToken(user._id, user.role); // Adapt based on your `generateToken` implementation
+        // Send the verification email; registration still succeeds if it fails (the user can resend it)
+        try {
+          await sendVerificationEmail(user);
+          await user.save({ validateBeforeSave: false });
+          console.log(`Verification email sent to ${user.email}`);
+        } catch (emailError) {
+          console.error(`Failed to send verification email to ${user.email}:`, emailError);
+        }
+
+        // Remember the device the account was created on, so its next login isn't reported as new
+        await recordLoginAttempt(user, req, { success: true, notify: false });
+        const { token, refreshToken } = await issueAuthTokens(user, req);
 
         res.status(201).json({
           _id: user._id,
@@ -78,8 +207,10 @@ router.post(
           phoneNumber: user.phoneNumber,
           role: user.role,
           isBlocked: user.isBlocked,
+          isEmailVerified: user.isEmailVerified,
           addresses: user.addresses, // Include addresses in registration response as per your code
           token: token,
+          refreshToken,
         });
       } else {
         // This else block might be redundant if User.create throws an error on failure,
@@ -116,23 +247,31 @@ router.post('/login', async (req, res) => {
     }
 
     if (user.isBlocked) {
+      await recordLoginAttempt(user, req, { success: false, failureReason: 'blocked' });
       return res.status(403).json({ message: 'Your account has been blocked. Please contact support.' });
     }
 
+    // Locked accounts don't even get their password checked, so guessing is pointless until the lock ends
+    if (user.isLocked()) {
+      await recordLoginAttempt(user, req, { success: false, failureReason: 'locked' });
+      return accountLockedResponse(res, user.lockUntil);
+    }
+
     if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        role: user.role,
-        isBlocked: user.isBlocked,
-        addresses: user.addresses, // Include addresses in login response
-        token: generateToken(user._id, user.role),
-      });
+      // With 2FA on, the password alone only earns a challenge to complete at /login/2fa
+      if (user.twoFactorEnabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+          message: 'Enter the code from your authenticator app (or a backup code) to finish logging in.',
+        });
+      }
+
+      await user.resetLoginFailures();
+      await recordLoginAttempt(user, req, { success: true });
+      res.json(loginResponse(user, await issueAuthTokens(user, req)));
     } else {
-      res.status(401).json({ message: 'Invalid email or password' });
+      return handleFailedLogin(user, req, res, 'invalid_password', 'Invalid email or password');
     }
   } catch (error) {
     console.error('Error during user login:', error);
@@ -140,6 +279,473 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Complete a login with a two-factor code (authenticator app or backup code)
+// @route   POST /api/users/login/2fa
+// @access  Public (requires the challengeToken from /login; rate limited by twoFactorLimiter)
+router.post(
+  '/login/2fa',
+  [
+    check('challengeToken', 'Challenge token is required').isString().not().isEmpty(),
+    check('code', 'Two-factor code is required').not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    try {
+      const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorBackupCodes');
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+      }
+      if (user.isBlocked) {
+        return res.status(403).json({ message: 'Your account has been blocked. Please contact support.' });
+      }
+      if (user.isLocked()) {
+        await recordLoginAttempt(user, req, { success: false, failureReason: 'locked' });
+        return accountLockedResponse(res, user.lockUntil);
+      }
+
+      const codeCheck = await checkTwoFactorCode(user, req.body.code);
+      if (!codeCheck.ok) {
+        return handleFailedLogin(user, req, res, 'invalid_2fa_code', 'Invalid two-factor code.');
+      }
+      await user.resetLoginFailures();
+      await recordLoginAttempt(user, req, { success: true });
+
+      const tokens = await issueAuthTokens(user, req, { twoFactorVerified: true });
+      res.json({
+        ...loginResponse(user, tokens),
+        backupCodesRemaining: codeCheck.usedBackupCode ? user.twoFactorBackupCodes.length : undefined,
+      });
+    } catch (error) {
+      console.error('Error during two-factor login:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Start 2FA enrollment: returns a new secret and otpauth URI for an authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private/Admin, Delivery Agent
+router.post('/2fa/setup', protect, staffOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled. Disable it first to enroll a new device.' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+      message: 'Add this account to your authenticator app, then confirm with a code at /api/users/2fa/enable.',
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Confirm 2FA enrollment with a first code; returns one-time backup codes
+// @route   POST /api/users/2fa/enable
+// @access  Private/Admin, Delivery Agent
+router.post(
+  '/2fa/enable',
+  protect,
+  staffOnly,
+  [
+    check('code', 'A 6-digit code is required').matches(/^\d{6}$/),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+      }
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({ message: 'Start two-factor setup first.' });
+      }
+      if (!(await user.useTwoFactorCode(req.body.code, user.twoFactorPendingSecret))) {
+        return res.status(400).json({ message: 'Invalid two-factor code.' });
+      }
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorEnabled = true;
+      user.twoFactorEnabledAt = new Date();
+      const backupCodes = user.generateTwoFactorBackupCodes();
+      await user.save({ validateBeforeSave: false });
+
+      // The user just proved they hold the device, so this session counts as 2FA-verified
+      await RefreshToken.markSessionTwoFactorVerified(req.sessionId);
+
+      res.json({
+        message: 'Two-factor authentication is now enabled. Store these backup codes somewhere safe; each can be used once.',
+        backupCodes,
+      });
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Turn off 2FA (needs the password and a current code)
+// @route   POST /api/users/2fa/disable
+// @access  Private
+router.post(
+  '/2fa/disable',
+  protect,
+  [
+    check('password', 'Password is required').not().isEmpty(),
+    check('code', 'Two-factor code is required').not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorBackupCodes');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+      }
+      if (!(await user.matchPassword(req.body.password)) || !(await checkTwoFactorCode(user, req.body.code)).ok) {
+        return res.status(401).json({ message: 'Invalid password or two-factor code.' });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorBackupCodes = [];
+      user.twoFactorEnabledAt = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      res.json({ message: 'Two-factor authentication has been disabled.' });
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Replace the 2FA backup codes (the old ones stop working)
+// @route   POST /api/users/2fa/backup-codes
+// @access  Private
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  [
+    check('code', 'A 6-digit code is required').matches(/^\d{6}$/),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactorSecret');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+      }
+      if (!(await user.useTwoFactorCode(req.body.code))) {
+        return res.status(401).json({ message: 'Invalid two-factor code.' });
+      }
+
+      const backupCodes = user.generateTwoFactorBackupCodes();
+      await user.save({ validateBeforeSave: false });
+
+      res.json({ message: 'New backup codes generated. The previous codes no longer work.', backupCodes });
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @route   POST /api/users/refresh-token
+// @access  Public (requires a valid refresh token)
+router.post(
+  '/refresh-token',
+  [
+    check('refreshToken', 'Refresh token is required').isString().not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const rotated = await RefreshToken.rotate(req.body.refreshToken, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+      if (rotated.error) {
+        return res.status(401).json({ message: rotated.error });
+      }
+
+      const user = await User.findById(rotated.user);
+      if (!user) {
+        await RefreshToken.revokeSession(rotated.sessionId, 'user_deleted');
+        return res.status(401).json({ message: 'Not authorized, user not found' });
+      }
+      if (user.isBlocked) {
+        await RefreshToken.revokeSession(rotated.sessionId, 'blocked');
+        return res.status(403).json({ message: 'Your account has been blocked. Please contact support.' });
+      }
+
+      res.json({
+        token: generateToken(user._id, user.role, rotated.sessionId),
+        refreshToken: rotated.token,
+      });
+    } catch (error) {
+      console.error('Error refreshing token:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Log out of the current session (its access and refresh tokens stop working)
+// @route   POST /api/users/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await RefreshToken.revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Log out of every session on every device
+// @route   POST /api/users/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeAllForUser(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all devices.', revokedTokens: result.modifiedCount });
+  } catch (error) {
+    console.error('Error during logout from all devices:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/users/forgot-password
+// @access  Public (rate limited by passwordResetLimiter)
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = { message: 'If an account with that email exists, a password reset link has been sent.' };
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+      const emailContent = `
+        <p>Dear ${user.firstName || 'customer'},</p>
+        <p>We received a request to reset the password for your account.</p>
+        <p>Click the link below to choose a new password. The link is valid for 15 minutes and can only be used once:</p>
+        <p><a href="${resetUrl}">${resetUrl}</a></p>
+        <p>If you didn't request this, you can safely ignore this email.</p>
+        <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+      `;
+
+      try {
+        await sendEmail({
+          email: user.email,
+          subject: 'Password Reset Request',
+          html: emailContent,
+        });
+        console.log(`Password reset email sent to ${user.email}`);
+      } catch (emailError) {
+        console.error(`Failed to send password reset email to ${user.email}:`, emailError);
+        // Don't leave a usable token behind if the user never received it
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        // Still the generic response: an error here would reveal that the account exists
+      }
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error('Error during forgot password:', error);
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Reset password using the emailed token
+// @route   POST /api/users/reset-password/:token
+// @access  Public (rate limited by passwordResetLimiter)
+router.post(
+  '/reset-password/:token',
+  [
+    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+    check('passwordConfirm').custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      // Only the hash is stored, so hash the token from the link to look it up
+      const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+      const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() },
+      });
+
+      if (!user) {
+        return res.status(400).json({ message: 'Password reset link is invalid or has expired.' });
+      }
+
+      // The pre-save hook hashes the password and sets passwordChangedAt,
+      // which makes 'protect' reject every token issued before now (all existing sessions)
+      user.password = req.body.password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      // Proving access to the email also lifts a lockout
+      user.failedLoginAttempts = 0;
+      user.lockoutCount = 0;
+      user.lockUntil = undefined;
+      await user.save();
+      // ...and refresh tokens can't be used to get new ones
+      await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+      res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+    } catch (error) {
+      console.error('Error during password reset:', error);
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+      }
+      res.status(500).json({ message: 'Server Error', details: error.message });
+    }
+  }
+);
+
+// @desc    Verify an email address using the emailed token
+// @route   GET /api/users/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.params.token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired.' });
+    }
+
+    const user = await User.findById(decoded.id);
+    // The link is tied to the address it was sent to, so it stops working after an email change
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired.' });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({ message: 'Your email address has been verified.', isEmailVerified: true });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Send a new verification email to the logged-in user
+// @route   POST /api/users/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Your email address is already verified.' });
+    }
+
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ message: 'A verification email was sent recently. Please wait a minute before requesting another.' });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error(`Failed to send verification email to ${user.email}:`, emailError);
+      return res.status(500).json({ message: 'There was an error sending the email. Please try again later.' });
+    }
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: 'A new verification email has been sent.' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 // 3. Get User Profile
 // GET /api/users/profile
 router.get('/profile', protect, async (req, res) => {
@@ -155,6 +761,8 @@ router.get('/profile', protect, async (req, res) => {
         phoneNumber: user.phoneNumber,
         role: user.role,
         isBlocked: user.isBlocked,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
         addresses: user.addresses // Include addresses
       });
     } else {
@@ -166,6 +774,18 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
+// @desc    Get the logged-in user's login history (paginated)
+// @route   GET /api/users/profile/login-history
+// @access  Private
+router.get('/profile/login-history', protect, async (req, res) => {
+  try {
+    res.json(await getLoginHistoryPage(req.user._id, req.query));
+  } catch (error) {
+    console.error('Error fetching login history:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 // 4. Update User Profile
 // PUT /api/users/profile
 
@@ -203,12 +823,19 @@ router.put(
         if (req.body.phoneNumber !== undefined) user.phoneNumber = req.body.phoneNumber;
 
         // Special handling for email: check for duplicates if email is being changed
+        let emailChanged = false;
         if (req.body.email !== undefined && req.body.email !== user.email) {
           const emailExists = await User.findOne({ email: req.body.email });
           if (emailExists && emailExists._id.toString() !== user._id.toString()) {
             return res.status(400).json({ message: 'This email is already in use by another account.' });
           }
           user.email = req.body.email;
+          // The new address has to be verified again (isModified ignores a change in letter case only)
+          if (user.isModified('email')) {
+            user.isEmailVerified = false;
+            user.emailVerifiedAt = undefined;
+            emailChanged = true;
+          }
         }
 
         // IMPORTANT: Password update is usually handled by a separate endpoint
@@ -220,6 +847,15 @@ router.put(
 
         const updatedUser = await user.save();
 
+        if (emailChanged) {
+          try {
+            await sendVerificationEmail(updatedUser);
+            await updatedUser.save({ validateBeforeSave: false });
+          } catch (emailError) {
+            console.error(`Failed to send verification email to ${updatedUser.email}:`, emailError);
+          }
+        }
+
         res.json({
           _id: updatedUser._id,
           firstName: updatedUser.firstName,
@@ -228,6 +864,7 @@ router.put(
           phoneNumber: updatedUser.phoneNumber,
           role: updatedUser.role,
           isBlocked: updatedUser.isBlocked,
+          isEmailVerified: updatedUser.isEmailVerified,
           addresses: updatedUser.addresses,
           token: user.getSignedJwtToken ? updatedUser.getSignedJwtToken() : undefined, // Assuming token regeneration might happen or use existing
         });
@@ -280,6 +917,12 @@ router.put('/profile/addresses', protect, async (req, res) => {
         user.addresses.push({ address, city, postalCode, country, isDefault });
     }
 
+    // Geocode new addresses, and existing ones whose location changed (for delivery route planning)
+    const savedAddress = _id ? user.addresses.id(_id) : user.addresses[user.addresses.length - 1];
+    if (!_id || ['address', 'city', 'postalCode', 'country'].some(field => savedAddress.isModified(field))) {
+        savedAddress.location = await geocodeAddress(savedAddress);
+    }
+
     const updatedUser = await user.save();
     res.json({
       message: 'Address updated successfully',
@@ -326,9 +969,14 @@ router.delete('/profile/addresses/:addressId', protect, async (req, res) => {
 
 // 7. Get all users (Admin only)
 // GET /api/users
-router.get('/', protect, authorizeRoles('admin'), async (req, res) => {
+// Optional filter: ?isEmailVerified=true|false
+router.get('/', protect, authorizePermissions('users:read'), async (req, res) => {
   try {
-    const users = await User.find({}).select('-password'); // Don't return passwords
+    const filter = {};
+    if (req.query.isEmailVerified === 'true' || req.query.isEmailVerified === 'false') {
+      filter.isEmailVerified = req.query.isEmailVerified === 'true';
+    }
+    const users = await User.find(filter).select('-password'); // Don't return passwords
     res.json(users);
   } catch (error) {
     console.error('Error fetching all users:', error);
@@ -338,7 +986,7 @@ router.get('/', protect, authorizeRoles('admin'), async (req, res) => {
 
 // 8. Get user by ID (Admin only)
 // GET /api/users/:id
-router.get('/:id', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/:id', protect, authorizePermissions('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (user) {
@@ -355,6 +1003,46 @@ router.get('/:id', protect, authorizeRoles('admin'), async (req, res) => {
   }
 });
 
+// @desc    Get a user's login history (paginated)
+// @route   GET /api/users/:id/login-history
+// @access  Private/Admin
+router.get('/:id/login-history', protect, authorizePermissions('users:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    res.json(await getLoginHistoryPage(req.params.id, req.query));
+  } catch (error) {
+    console.error('Error fetching login history for user:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
+// @desc    Lift a login lockout before it expires
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+router.put('/:id/unlock', protect, authorizePermissions('users:block'), requireTwoFactor, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await canManageUser(req, user))) {
+      return res.status(403).json({ message: 'Not authorized to manage this account' });
+    }
+
+    await user.resetLoginFailures();
+    res.json({ message: `User ${user.firstName} ${user.lastName} has been unlocked.` });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Server Error', details: error.message });
+  }
+});
+
 
 // 9. Update User by ID (Admin only) - For firstName, lastName, email, phoneNumber, role
 // PUT /api/users/:id
@@ -365,19 +1053,31 @@ router.get('/:id', protect, authorizeRoles('admin'), async (req, res) => {
 router.put(
   '/:id',
   protect,
-  authorizeRoles('admin'), // Only admins can update other users
+  authorizePermissions('users:write'), // Only staff who may edit accounts can update other users
+  requireTwoFactor, // Changing roles, emails or block state needs a 2FA-verified session
   [ // <--- START VALIDATION MIDDLEWARE ARRAY
     check('firstName', 'First name must not be empty').not().isEmpty().optional(),
     check('lastName', 'Last name must not be empty').not().isEmpty().optional(),
     check('email', 'Please include a valid email').isEmail().optional(),
     check('phoneNumber', 'A valid phone number is required').isMobilePhone('any', { strictMode: false }).optional(),
 
-    // Validate role: ensure it's one of the allowed roles
-    check('role', 'Invalid user role').optional().isIn(['customer', 'admin', 'deliveryAgent']),
+    // Validate role: ensure it's one of the roles stored in the database
+    check('role').optional().custom(async (value) => {
+      if (!(await Role.exists({ name: value }))) {
+        throw new Error('Invalid user role');
+      }
+      return true;
+    }),
 
     // Validate isBlocked: ensure it's a boolean
     check('isBlocked', 'isBlocked must be a boolean').optional().isBoolean(),
 
+    // Validate isEmailVerified: admins can mark an email as verified (or not) by hand
+    check('isEmailVerified', 'isEmailVerified must be a boolean').optional().isBoolean(),
+
+    // Validate twoFactorEnabled: admins can only turn 2FA off (e.g. a user lost their device and backup codes)
+    check('twoFactorEnabled', 'twoFactorEnabled can only be set to false').optional().isIn([false, 'false']),
+
     // Validate addresses array (if you have addresses nested directly here)
     // Assuming addresses is an array of objects with 'street', 'city', etc.
     check('addresses', 'Addresses must be an array').optional().isArray(),
@@ -409,6 +1109,17 @@ router.put(
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
+      if (!(await canManageUser(req, user))) {
+        return res.status(403).json({ message: 'Not authorized to manage this account' });
+      }
+
+      // Some fields need more than 'users:write'
+      if (req.body.role !== undefined && req.body.role !== user.role && !req.permissions.includes('roles:manage')) {
+        return res.status(403).json({ message: "Changing a user's role requires the 'roles:manage' permission" });
+      }
+      if (req.body.isBlocked !== undefined && !req.permissions.includes('users:block')) {
+        return res.status(403).json({ message: "Blocking a user requires the 'users:block' permission" });
+      }
 
       // Prevent admin from updating their own role if they are the only admin
       // This is a complex logic that might require checking other admins or could be simplified.
@@ -430,6 +1141,18 @@ router.put(
       if (req.body.phoneNumber !== undefined) user.phoneNumber = req.body.phoneNumber;
       if (req.body.role !== undefined) user.role = req.body.role;
       if (req.body.isBlocked !== undefined) user.isBlocked = req.body.isBlocked;
+      if (req.body.isEmailVerified !== undefined && req.body.isEmailVerified !== user.isEmailVerified) {
+        user.isEmailVerified = req.body.isEmailVerified;
+        user.emailVerifiedAt = req.body.isEmailVerified ? new Date() : undefined;
+      }
+      if (req.body.twoFactorEnabled !== undefined && user.twoFactorEnabled) {
+        // Reset 2FA; the user can enroll again with /api/users/2fa/setup
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorBackupCodes = [];
+        user.twoFactorEnabledAt = undefined;
+      }
       if (req.body.addresses !== undefined) user.addresses = req.body.addresses;
 
       // Note: Password updates should typically be handled by a separate, secure process
@@ -437,6 +1160,11 @@ router.put(
 
       const updatedUser = await user.save();
 
+      // Blocking ends every active session straight away
+      if (updatedUser.isBlocked) {
+        await RefreshToken.revokeAllForUser(updatedUser._id, 'blocked');
+      }
+
       res.json({
         _id: updatedUser._id,
         firstName: updatedUser.firstName,
@@ -445,6 +1173,8 @@ router.put(
         phoneNumber: updatedUser.phoneNumber,
         role: updatedUser.role,
         isBlocked: updatedUser.isBlocked,
+        isEmailVerified: updatedUser.isEmailVerified,
+        twoFactorEnabled: updatedUser.twoFactorEnabled,
         addresses: updatedUser.addresses,
       });
 
@@ -467,7 +1197,7 @@ router.put(
 
 // 10. Block/Unblock User (Admin only)
 // PUT /api/users/:id/block
-router.put('/:id/block', protect, authorizeRoles('admin'), async (req, res) => {
+router.put('/:id/block', protect, authorizePermissions('users:block'), requireTwoFactor, async (req, res) => {
     const { isBlocked } = req.body;
 
     try {
@@ -481,10 +1211,19 @@ router.put('/:id/block', protect, authorizeRoles('admin'), async (req, res) => {
             return res.status(400).json({ message: 'Admins cannot block their own account.' });
         }
 
+        if (!(await canManageUser(req, user))) {
+            return res.status(403).json({ message: 'Not authorized to manage this account' });
+        }
+
         user.isBlocked = typeof isBlocked === 'boolean' ? isBlocked : user.isBlocked;
 
         const updatedUser = await user.save();
 
+        // Blocking ends every active session straight away
+        if (updatedUser.isBlocked) {
+            await RefreshToken.revokeAllForUser(updatedUser._id, 'blocked');
+        }
+
         res.json({
             _id: updatedUser._id,
             firstName: updatedUser.firstName,
@@ -493,6 +1232,7 @@ router.put('/:id/block', protect, authorizeRoles('admin'), async (req, res) => {
             phoneNumber: updatedUser.phoneNumber,
             role: updatedUser.role,
             isBlocked: updatedUser.isBlocked,
+            isEmailVerified: updatedUser.isEmailVerified,
             addresses: updatedUser.addresses, // Include addresses in response
             message: `User ${updatedUser.firstName} ${updatedUser.lastName} has been ${updatedUser.isBlocked ? 'blocked' : 'unblocked'}.`
         });
@@ -509,7 +1249,7 @@ router.put('/:id/block', protect, authorizeRoles('admin'), async (req, res) => {
 
 // 11. Delete User (Admin only)
 // DELETE /api/users/:id
-router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
+router.delete('/:id', protect, authorizePermissions('users:delete'), requireTwoFactor, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -521,7 +1261,12 @@ router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
         return res.status(400).json({ message: 'Admins cannot delete their own account.' });
     }
 
+    if (!(await canManageUser(req, user))) {
+        return res.status(403).json({ message: 'Not authorized to manage this account' });
+    }
+
     await user.deleteOne();
+    await RefreshToken.revokeAllForUser(user._id, 'user_deleted');
     res.json({ message: 'User removed' });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -536,7 +1281,7 @@ router.delete('/:id', protect, authorizeRoles('admin'), async (req, res) => {
 // @desc    Get new user registration count by period (Admin only) - MODIFIED TO INCLUDE GROUPING
 // @route   GET /api/users/admin/registration-count?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&groupBy=day|week|month|year
 // @access  Private/Admin
-router.get('/admin/registration-count', protect, authorizeRoles('admin'), async (req, res) => {
+router.get('/admin/registration-count', protect, authorizePermissions('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate, groupBy } = req.query; // Added groupBy
 
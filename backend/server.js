@@ -15,17 +15,32 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const paymentRoutes = require('./routes/paymentRoutes'); 
 const adminDashboardRoutes = require('./routes/adminDashboardRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const deliverySlotRoutes = require('./routes/deliverySlotRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const pricingRoutes = require('./routes/pricingRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const deliveryRoutes = require('./routes/deliveryRoutes');
+const deliveryZoneRoutes = require('./routes/deliveryZoneRoutes');
 const { notFound, errorHandler } = require('./middleware/errorMiddleware'); // Import error handling middleware
-const { apiLimiter, authLimiter, passwordResetLimiter } = require('./middleware/rateLimitMiddleware'); // Import rate limit middleware
+const { apiLimiter, authLimiter, passwordResetLimiter, twoFactorLimiter } = require('./middleware/rateLimitMiddleware'); // Import rate limit middleware
+const { startReservationSweeper } = require('./utils/reservationSweeper'); // Releases expired stock holds
+const { attachRealtimeServer } = require('./utils/realtime'); // Live order events for staff and agents over WebSocket
+const Role = require('./models/Role');
+const User = require('./models/User');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB Atlas');
-    app.listen(PORT, () => {
+    await Role.ensureDefaultRoles(); // Built-in roles (admin, customer, delivery-agent, ...) must exist before requests arrive
+    await User.markLegacyEmailsVerified(); // Existing customers must not be locked out of ordering by email verification
+    startReservationSweeper(); // Give back stock held by orders that were never paid
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Access it at: http://localhost:${PORT}`);
     });
+    attachRealtimeServer(server); // WebSocket connections on /api/ws
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -77,8 +92,10 @@ app.use(express.json());
 app.use('/api/', apiLimiter); // Apply to all /api/ routes first
 app.post('/api/users/login', authLimiter);
 app.post('/api/users/register', authLimiter);
-// If you have a forgot password route, apply passwordResetLimiter
-// app.post('/api/users/forgot-password', passwordResetLimiter); // Uncomment if you add this route
+app.post('/api/users/forgot-password', passwordResetLimiter);
+app.post('/api/users/reset-password/:token', passwordResetLimiter);
+app.post('/api/users/login/2fa', twoFactorLimiter);
+app.post('/api/users/2fa/:action', twoFactorLimiter);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -92,6 +109,13 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes); 
 app.use('/api/admin', adminDashboardRoutes); 
+app.use('/api/cart', cartRoutes);
+app.use('/api/delivery-slots', deliverySlotRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/zones', deliveryZoneRoutes);
 
 // --- Error Handling Middleware (MUST BE PLACED AFTER ALL ROUTES) ---
 // Catches any requests to routes that don't exist
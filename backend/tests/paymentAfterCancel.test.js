@@ -0,0 +1,138 @@
+// backend/tests/paymentAfterCancel.test.js
+// A payment that completes after the customer cancelled (e.g. with a client secret they already had)
+// must be refunded, without taking the order's stock or delivery slot again.
+// Runs without MongoDB or Stripe: the model calls and the Stripe API are replaced with in-memory fakes.
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_fake';
+process.env.JWT_SECRET = 'test-secret';
+process.env.AUTO_DISPATCH = 'false';
+
+const { test, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// --- Fake Stripe API (the real library is kept for webhook signatures) ---
+const stripeCalls = { refunds: [] };
+const realStripe = require('stripe');
+require.cache[require.resolve('stripe')].exports = (key) => {
+  const client = realStripe(key);
+  client.refunds.create = async (params) => {
+    stripeCalls.refunds.push(params);
+    return { id: `re_${stripeCalls.refunds.length}`, status: 'succeeded', amount: params.amount };
+  };
+  return client;
+};
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const StockReservation = require('../models/StockReservation');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+// --- Fake persistence ---
+let order;
+const stockCalls = [];
+const fakeSession = () => {
+  let active = false;
+  return {
+    startTransaction() { active = true; },
+    async commitTransaction() { active = false; },
+    async abortTransaction() { active = false; },
+    endSession() {},
+    inTransaction: () => active,
+  };
+};
+const findOrder = () => ({
+  session: async () => order,
+  select: () => ({ session: async () => order }),
+});
+
+Order.startSession = async () => fakeSession();
+Order.findById = findOrder;
+Order.prototype.save = async function() { return this; };
+WebhookEvent.create = async (data) => Object.assign(new WebhookEvent(data), { save: async () => {} });
+StockReservation.hold = async (heldOrder) => { stockCalls.push(['hold', heldOrder._id]); return { ok: true }; };
+StockReservation.commitForOrder = async (orderId) => { stockCalls.push(['commit', orderId]); };
+
+const newOrder = (orderStatus) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  orderItems: [{ name: 'Milk', quantity: 2, price: 5, image: 'milk.png', product: new mongoose.Types.ObjectId() }],
+  shippingAddress: { address: '1 Main St', city: 'Springfield', postalCode: '10001', country: 'US', phone: '5550100' },
+  paymentMethod: 'Stripe',
+  itemsPrice: 10,
+  shippingPrice: 0,
+  totalPrice: 10,
+  orderStatus,
+});
+
+// --- Send a signed payment_intent.succeeded event to the webhook ---
+let server;
+let baseUrl;
+before(async () => {
+  const app = express();
+  app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+  app.use('/api/payments', paymentRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+let eventCount = 0;
+const sendPaymentSucceeded = async (paidOrder) => {
+  eventCount++;
+  const payload = JSON.stringify({
+    id: `evt_test_${eventCount}`,
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: `pi_test_${eventCount}`,
+        amount: 1000,
+        status: 'succeeded',
+        created: Math.floor(Date.now() / 1000),
+        metadata: { order_id: paidOrder._id.toString() },
+      },
+    },
+  });
+  const signature = realStripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  return fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+};
+
+beforeEach(() => {
+  stripeCalls.refunds.length = 0;
+  stockCalls.length = 0;
+});
+
+test('a payment for a cancelled order is recorded and refunded in full, and no stock is taken', async () => {
+  order = newOrder('Cancelled');
+
+  const response = await sendPaymentSucceeded(order);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.orderStatus, 'Cancelled');
+  assert.strictEqual(order.isPaid, true);
+  assert.deepStrictEqual(stockCalls, []);
+  assert.strictEqual(stripeCalls.refunds.length, 1);
+  assert.strictEqual(stripeCalls.refunds[0].payment_intent, order.paymentResult.id);
+  assert.strictEqual(stripeCalls.refunds[0].amount, 1000);
+  assert.strictEqual(order.refundedAmount, 10);
+  assert.strictEqual(order.isRefunded, true);
+  assert.strictEqual(order.refunds[0].source, 'system');
+});
+
+test('a payment for a pending order moves it to Processing and commits its stock without a refund', async () => {
+  order = newOrder('Pending');
+
+  const response = await sendPaymentSucceeded(order);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.orderStatus, 'Processing');
+  assert.strictEqual(order.isPaid, true);
+  assert.deepStrictEqual(stockCalls.map(([call]) => call), ['hold', 'commit']);
+  assert.strictEqual(stripeCalls.refunds.length, 0);
+});
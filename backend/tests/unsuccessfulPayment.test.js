@@ -0,0 +1,144 @@
+// backend/tests/unsuccessfulPayment.test.js
+// A failed or cancelled PaymentIntent releases the order's holds and emails the customer a retry link,
+// but only for the order's current PaymentIntent and never for an order the customer cancelled.
+// Runs without MongoDB, Stripe or an SMTP server: the model calls, the Stripe API and sendEmail are in-memory fakes.
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_fake';
+process.env.JWT_SECRET = 'test-secret';
+process.env.AUTO_DISPATCH = 'false';
+
+const { test, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// --- Fake email (replaced before paymentRoutes loads it) ---
+const sentEmails = [];
+require.cache[require.resolve('../utils/sendEmail')] = {
+  id: require.resolve('../utils/sendEmail'),
+  loaded: true,
+  exports: async (options) => { sentEmails.push(options); },
+};
+
+const realStripe = require('stripe');
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const StockReservation = require('../models/StockReservation');
+const DeliverySlot = require('../models/DeliverySlot');
+const Coupon = require('../models/Coupon');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+// --- Fake persistence ---
+let order;
+const releaseCalls = [];
+const fakeSession = () => {
+  let active = false;
+  return {
+    startTransaction() { active = true; },
+    async commitTransaction() { active = false; },
+    async abortTransaction() { active = false; },
+    endSession() {},
+    inTransaction: () => active,
+  };
+};
+
+Order.startSession = async () => fakeSession();
+Order.findById = () => ({ populate: async () => order });
+Order.prototype.save = async function() { return this; };
+WebhookEvent.create = async (data) => Object.assign(new WebhookEvent(data), { save: async () => {} });
+StockReservation.releaseForOrder = async (orderId, reason) => { releaseCalls.push(['stock', reason]); };
+DeliverySlot.releaseForOrder = async () => { releaseCalls.push(['slot']); return false; };
+Coupon.releaseForOrder = async () => false;
+
+const newOrder = ({ orderStatus = 'Pending', paymentIntentId = 'pi_current' } = {}) => {
+  const created = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderItems: [{ name: 'Milk', quantity: 2, price: 5, image: 'milk.png', product: new mongoose.Types.ObjectId() }],
+    shippingAddress: { address: '1 Main St', city: 'Springfield', postalCode: '10001', country: 'US', phone: '5550100' },
+    paymentMethod: 'Stripe',
+    itemsPrice: 10,
+    shippingPrice: 0,
+    totalPrice: 10,
+    orderStatus,
+    paymentIntentId,
+  });
+  created.user = { _id: created.user, firstName: 'Ann', email: 'ann@example.com' }; // As populated by the handler
+  return created;
+};
+
+// --- Send a signed webhook event for a PaymentIntent ---
+let server;
+let baseUrl;
+before(async () => {
+  const app = express();
+  app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+  app.use('/api/payments', paymentRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+let eventCount = 0;
+const sendPaymentIntentEvent = async (type, paymentIntentId) => {
+  eventCount++;
+  const payload = JSON.stringify({
+    id: `evt_test_${eventCount}`,
+    type,
+    data: {
+      object: {
+        id: paymentIntentId,
+        amount: 1000,
+        status: type === 'payment_intent.canceled' ? 'canceled' : 'requires_payment_method',
+        cancellation_reason: type === 'payment_intent.canceled' ? 'requested_by_customer' : null,
+        metadata: { order_id: order._id.toString() },
+      },
+    },
+  });
+  const signature = realStripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  return fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+};
+
+beforeEach(() => {
+  sentEmails.length = 0;
+  releaseCalls.length = 0;
+});
+
+test('a failed payment on the current PaymentIntent releases the holds and emails a retry link', async () => {
+  order = newOrder();
+
+  const response = await sendPaymentIntentEvent('payment_intent.payment_failed', 'pi_current');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.paymentStatus, 'Failed');
+  assert.deepStrictEqual(releaseCalls, [['stock', 'payment_failed'], ['slot']]);
+  assert.strictEqual(sentEmails.length, 1);
+});
+
+test('voiding the PaymentIntent of an order the customer cancelled sends no email and changes nothing', async () => {
+  order = newOrder({ orderStatus: 'Cancelled' });
+
+  const response = await sendPaymentIntentEvent('payment_intent.canceled', 'pi_current');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.paymentStatus, 'Unpaid');
+  assert.deepStrictEqual(releaseCalls, []);
+  assert.strictEqual(sentEmails.length, 0);
+});
+
+test('cancelling a replaced PaymentIntent leaves the order paying with its new one untouched', async () => {
+  order = newOrder({ paymentIntentId: 'pi_new' });
+
+  const response = await sendPaymentIntentEvent('payment_intent.canceled', 'pi_old');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(order.paymentStatus, 'Unpaid');
+  assert.strictEqual(order.paymentResult.status, undefined);
+  assert.deepStrictEqual(releaseCalls, []);
+  assert.strictEqual(sentEmails.length, 0);
+});
@@ -0,0 +1,188 @@
+// backend/utils/auditTrail.js
+// Purpose: Records every change staff make through the API in the AuditLog collection, without each route having to do it.
+//
+// 'protect' runs the rest of a staff user's mutating request inside an audit context (who, from where, which route).
+// Models that use auditTrailPlugin then log their own creates, updates and deletes while that context is active.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+const auditContextStorage = new AsyncLocalStorage();
+
+// Fields that never change in a meaningful way for an investigation
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Runs `fn` (the rest of the request) with an audit context, so model changes it causes are logged.
+ *
+ * @param {object} context - `{ actor, actorRole, method, path, ip, userAgent }`.
+ * @param {Function} fn - Called inside the context.
+ */
+const runWithAuditContext = (context, fn) => auditContextStorage.run(context, fn);
+
+/**
+ * Runs `fn` outside the audit context, for high-volume writes that aren't staff changes
+ * (e.g. delivery agents' GPS pings, or the stock and coupon counters an order moves), so they don't flood
+ * the audit log or pay for its snapshot reads. Return a promise from `fn` (call exec() on queries),
+ * so the query runs inside it.
+ *
+ * @param {Function} fn - Called without an audit context; its return value is passed through.
+ */
+const runWithoutAudit = (fn) => auditContextStorage.exit(fn);
+
+/**
+ * @returns {object|undefined} The audit context of the current request, if it is being audited.
+ */
+const getAuditContext = () => auditContextStorage.getStore();
+
+// Only the fields that differ between two plain snapshots, with redacted fields masked
+const diffSnapshots = (before, after, redact) => {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    const masked = redact.includes(key);
+    if (before) changes.before[key] = masked ? '[redacted]' : oldValue;
+    if (after) changes.after[key] = masked ? '[redacted]' : newValue;
+  }
+  return changes;
+};
+
+const writeAuditLog = async (context, entry, session) => {
+  try {
+    await AuditLog.create([{
+      actor: context.actor,
+      actorRole: context.actorRole,
+      method: context.method,
+      path: context.path,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      ...entry,
+    }], { session });
+  } catch (error) {
+    // A missing audit entry must not undo the change the admin just made
+    console.error(`[AUDIT ERROR] Could not record ${entry.action} on ${entry.targetModel} ${entry.targetId || ''}:`, error);
+  }
+};
+
+/**
+ * Mongoose plugin that logs document and query changes made during an audited request.
+ *
+ * @param {Schema} schema - The schema to audit.
+ * @param {object} [options]
+ * @param {string[]} [options.redact] - Fields whose values are never written to the log (e.g. password).
+ */
+const auditTrailPlugin = (schema, { redact = [] } = {}) => {
+  // --- Documents: remember how each loaded document looked, so a later save can be diffed ---
+  schema.post('init', function() {
+    if (getAuditContext()) {
+      this.$locals.auditSnapshot = this.toObject({ depopulate: true });
+    }
+  });
+
+  schema.pre('save', function() {
+    if (getAuditContext()) {
+      this.$locals.auditWasNew = this.isNew;
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    const before = doc.$locals.auditWasNew ? null : doc.$locals.auditSnapshot;
+    const after = doc.toObject({ depopulate: true });
+    const changes = diffSnapshots(before, after, redact);
+    if (before && Object.keys(changes.after).length === 0 && Object.keys(changes.before).length === 0) {
+      return; // Saved without any change
+    }
+
+    await writeAuditLog(context, {
+      action: before ? 'update' : 'create',
+      targetModel: doc.constructor.modelName,
+      targetId: doc._id,
+      changes,
+    }, doc.$session());
+    doc.$locals.auditSnapshot = after; // A second save in the same request is diffed against this one
+    doc.$locals.auditWasNew = false;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    await writeAuditLog(context, {
+      action: 'delete',
+      targetModel: doc.constructor.modelName,
+      targetId: doc._id,
+      changes: diffSnapshots(doc.toObject({ depopulate: true }), null, redact),
+    }, doc.$session());
+  });
+
+  // --- Single-document queries: read the document before and after the query ---
+  // Only during an audited (staff) request: customer and system writes, and work in runWithoutAudit, skip both reads.
+  const singleUpdates = ['findOneAndUpdate', 'updateOne'];
+  const singleDeletes = ['findOneAndDelete', 'deleteOne'];
+
+  schema.pre([...singleUpdates, ...singleDeletes], { document: false, query: true }, async function() {
+    if (!getAuditContext()) return;
+    const session = this.getOptions().session;
+    this._auditBefore = await this.model.findOne(this.getFilter()).session(session || null).lean();
+  });
+
+  schema.post(singleUpdates, { document: false, query: true }, async function() {
+    const context = getAuditContext();
+    if (!context || !this._auditBefore) return;
+
+    const session = this.getOptions().session;
+    const after = await this.model.findById(this._auditBefore._id).session(session || null).lean();
+    const changes = diffSnapshots(this._auditBefore, after, redact);
+    if (Object.keys(changes.after).length === 0 && Object.keys(changes.before).length === 0) return;
+
+    await writeAuditLog(context, {
+      action: 'update',
+      targetModel: this.model.modelName,
+      targetId: this._auditBefore._id,
+      changes,
+    }, session);
+  });
+
+  schema.post(singleDeletes, { document: false, query: true }, async function() {
+    const context = getAuditContext();
+    if (!context || !this._auditBefore) return;
+
+    await writeAuditLog(context, {
+      action: 'delete',
+      targetModel: this.model.modelName,
+      targetId: this._auditBefore._id,
+      changes: diffSnapshots(this._auditBefore, null, redact),
+    }, this.getOptions().session);
+  });
+
+  // --- Bulk queries: too many documents to diff, so record what was asked for ---
+  schema.post(['updateMany', 'deleteMany'], { document: false, query: true }, async function(result) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    const affected = result ? (result.modifiedCount !== undefined ? result.modifiedCount : result.deletedCount) : undefined;
+    if (affected === 0) return;
+
+    await writeAuditLog(context, {
+      action: this.op === 'updateMany' ? 'bulk-update' : 'bulk-delete',
+      targetModel: this.model.modelName,
+      // Stored as JSON text because MongoDB operators ($set, $in, ...) can't be used as field names
+      filter: {
+        query: JSON.stringify(this.getFilter()),
+        update: this.op === 'updateMany' ? JSON.stringify(this.getUpdate()) : undefined,
+        affected,
+      },
+    }, this.getOptions().session);
+  });
+};
+
+module.exports = { auditTrailPlugin, runWithAuditContext, runWithoutAudit, getAuditContext };
@@ -0,0 +1,128 @@
+// backend/utils/autoDispatch.js
+// Purpose: Assigns orders that reach Processing, or that their agent hands back, to a delivery agent automatically,
+// and records why.
+//
+// The order goes to the on-shift agent with the fewest undelivered orders, among agents who serve its
+// postal code (agents without service postal codes serve everywhere) and are below their capacity.
+// Every attempt is stored as a DispatchDecision, whether or not an agent was found.
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DispatchDecision = require('../models/DispatchDecision');
+const {
+  DELIVERY_AGENT_ROLE,
+  normalizePostalCode,
+  agentCapacity,
+  countActiveOrders,
+  sendAssignmentEmail,
+} = require('./deliveryAgents');
+
+// Set AUTO_DISPATCH=false to leave every order for a dispatcher to assign by hand
+const isAutoDispatchEnabled = () => process.env.AUTO_DISPATCH !== 'false';
+
+// 'zone' if the agent serves the postal code, 'any' if they serve everywhere, 'none' otherwise
+const zoneMatchFor = (agent, postalCode) => {
+  if (!agent.servicePostalCodes || agent.servicePostalCodes.length === 0) {
+    return 'any';
+  }
+  return agent.servicePostalCodes.some(prefix => postalCode.startsWith(normalizePostalCode(prefix))) ? 'zone' : 'none';
+};
+
+const recordDecision = async (decision) => {
+  try {
+    await DispatchDecision.create(decision);
+  } catch (error) {
+    console.error(`[DISPATCH ERROR] Could not record dispatch decision for order ${decision.order}:`, error);
+  }
+};
+
+/**
+ * Picks an agent for an order and assigns it (the agent still has to accept).
+ * Call it after the order has been saved as Processing, or after its agent handed it back. Failures are logged and never thrown,
+ * so the order simply stays in the unassigned queue.
+ *
+ * @param {string|ObjectId} orderId - The order to dispatch (re-read, so the caller's copy can be stale).
+ * @param {object} options
+ * @param {string} options.trigger - Why the order needs an agent ('payment', 'status-update', 'rejected' or 'shift-ended').
+ * @returns {Promise<object|null>} The assigned Order document, or null if it was not assigned.
+ */
+const autoDispatchOrder = async (orderId, { trigger }) => {
+  if (!isAutoDispatchEnabled()) {
+    return null;
+  }
+
+  try {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return null;
+    }
+    if (order.orderStatus !== 'Processing' || order.deliveryAgent) {
+      await recordDecision({
+        order: order._id,
+        trigger,
+        outcome: 'skipped',
+        reason: order.deliveryAgent ? 'The order already has an agent.' : `The order is '${order.orderStatus}'.`,
+      });
+      return null;
+    }
+
+    const postalCode = normalizePostalCode(order.shippingAddress && order.shippingAddress.postalCode);
+    const agents = await User.find({ role: DELIVERY_AGENT_ROLE, isOnShift: true, isBlocked: false })
+      .select('firstName email maxActiveDeliveries servicePostalCodes shiftStartedAt')
+      .sort({ shiftStartedAt: 1 }); // On equal load, whoever has been on shift longest goes first
+    const activeOrders = await countActiveOrders(agents.map(agent => agent._id));
+
+    // Agents who already turned this order down aren't asked again
+    const rejectedBy = new Set(order.assignmentHistory
+      .filter(event => event.action === 'rejected')
+      .map(event => event.agent.toString()));
+
+    const candidates = agents.map(agent => {
+      const candidate = {
+        agent: agent._id,
+        activeOrders: activeOrders.get(agent._id.toString()) || 0,
+        capacity: agentCapacity(agent),
+        zoneMatch: zoneMatchFor(agent, postalCode),
+      };
+      candidate.eligible = candidate.zoneMatch !== 'none' &&
+        candidate.activeOrders < candidate.capacity &&
+        !rejectedBy.has(agent._id.toString());
+      return candidate;
+    });
+
+    // Fewest active orders first; on a tie, agents who cover the zone specifically beat agents who cover everywhere
+    const ranked = candidates
+      .map((candidate, index) => ({ candidate, agent: agents[index] }))
+      .filter(({ candidate }) => candidate.eligible)
+      .sort((a, b) => (a.candidate.activeOrders - b.candidate.activeOrders) ||
+        ((a.candidate.zoneMatch === 'zone' ? 0 : 1) - (b.candidate.zoneMatch === 'zone' ? 0 : 1)));
+
+    if (ranked.length === 0) {
+      const reason = agents.length === 0
+        ? 'No delivery agent is on shift.'
+        : `None of the ${agents.length} on-shift agent(s) serves postal code ${postalCode || '(none)'} with capacity to spare.`;
+      console.warn(`[DISPATCH] Order ${order._id} left in the unassigned queue: ${reason}`);
+      await recordDecision({ order: order._id, trigger, outcome: 'no-agent', postalCode, reason, candidates });
+      return null;
+    }
+
+    const { candidate, agent } = ranked[0];
+    const reason = `Fewest active orders (${candidate.activeOrders} of ${candidate.capacity})` +
+      (candidate.zoneMatch === 'zone' ? `, serves postal code ${postalCode}` : '');
+
+    order.assignAgent(agent, { note: `Automatic dispatch: ${reason}` });
+    await order.save();
+
+    await recordDecision({ order: order._id, trigger, outcome: 'assigned', agent: agent._id, postalCode, reason, candidates });
+    console.log(`[DISPATCH] Order ${order._id} assigned to agent ${agent._id}. ${reason}.`);
+
+    await sendAssignmentEmail(order, agent);
+    return order;
+  } catch (error) {
+    console.error(`[DISPATCH ERROR] Automatic dispatch failed for order ${orderId}:`, error);
+    await recordDecision({ order: orderId, trigger, outcome: 'failed', reason: error.message });
+    return null;
+  }
+};
+
+module.exports = { autoDispatchOrder };
@@ -0,0 +1,105 @@
+// backend/utils/deliveryAgents.js
+// Purpose: Looks up delivery agents for order assignment, their current workload, and notifies them of new orders.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const sendEmail = require('./sendEmail');
+
+// Orders can only be assigned to users with this role
+const DELIVERY_AGENT_ROLE = 'delivery-agent';
+
+// Undelivered orders automatic dispatch gives an agent who has no capacity of their own set
+const DEFAULT_AGENT_CAPACITY = parseInt(process.env.AGENT_DEFAULT_CAPACITY) || 5;
+
+/**
+ * @param {string} postalCode - A postal code or postal-code prefix as entered.
+ * @returns {string} The code in upper case without spaces, so 'sw1a 1aa' and 'SW1A1AA' compare equal.
+ */
+const normalizePostalCode = (postalCode) => String(postalCode || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * @param {object} agent - The User document of the agent.
+ * @returns {number} How many undelivered orders the agent may have at once.
+ */
+const agentCapacity = (agent) => agent.maxActiveDeliveries || DEFAULT_AGENT_CAPACITY;
+
+/**
+ * Finds the agent an order is about to be assigned to and checks they can take it.
+ *
+ * @param {string} agentId - ID of the user to assign.
+ * @returns {Promise<object>} `{ agent }` or `{ error: { status, message } }`.
+ */
+const findAssignableAgent = async (agentId) => {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) {
+    return { error: { status: 400, message: 'Invalid agent ID format' } };
+  }
+
+  const agent = await User.findById(agentId).select('firstName lastName email role isBlocked isOnShift maxActiveDeliveries servicePostalCodes');
+  if (!agent) {
+    return { error: { status: 404, message: 'Agent not found' } };
+  }
+  if (agent.role !== DELIVERY_AGENT_ROLE) {
+    return { error: { status: 400, message: 'Orders can only be assigned to delivery agents.' } };
+  }
+  if (agent.isBlocked) {
+    return { error: { status: 400, message: 'This agent\'s account is blocked.' } };
+  }
+  if (!agent.isOnShift) {
+    return { error: { status: 400, message: 'This agent is off shift. Only on-shift agents can be given orders.' } };
+  }
+  return { agent };
+};
+
+/**
+ * Counts the orders each agent still has to deliver (anything not Delivered or Cancelled).
+ *
+ * @param {Array<ObjectId>} agentIds - The agents to count for.
+ * @returns {Promise<Map<string, number>>} Agent ID -> number of active orders (agents with none are omitted).
+ */
+const countActiveOrders = async (agentIds) => {
+  const counts = await Order.aggregate([
+    { $match: { deliveryAgent: { $in: agentIds }, orderStatus: { $nin: Order.FINAL_ORDER_STATUSES } } },
+    { $group: { _id: '$deliveryAgent', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Emails an agent that an order has been assigned to them and is waiting for them to accept it.
+ * Failures are logged and never undo the assignment.
+ *
+ * @param {object} order - The Order document.
+ * @param {object} agent - The User document of the agent.
+ */
+const sendAssignmentEmail = async (order, agent) => {
+  const { address, city, postalCode } = order.shippingAddress;
+  const emailContent = `
+    <p>Dear ${agent.firstName || 'agent'},</p>
+    <p>Order #${order._id} has been assigned to you.</p>
+    <p><strong>Deliver to:</strong> ${address}, ${city} ${postalCode}</p>
+    <p><strong>Items:</strong> ${order.orderItems.length}</p>
+    <p>Please accept or reject the assignment in the app as soon as possible.</p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  try {
+    await sendEmail({
+      email: agent.email,
+      subject: `New delivery assigned: Order #${order._id}`,
+      html: emailContent,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send assignment email for order ${order._id} to ${agent.email}:`, emailError);
+  }
+};
+
+module.exports = {
+  DELIVERY_AGENT_ROLE,
+  DEFAULT_AGENT_CAPACITY,
+  normalizePostalCode,
+  agentCapacity,
+  findAssignableAgent,
+  countActiveOrders,
+  sendAssignmentEmail,
+};
@@ -0,0 +1,87 @@
+// backend/utils/deliveryProof.js
+// Purpose: Proof of delivery - emails the customer their one-time delivery code and stores photos and signatures.
+
+const crypto = require('crypto');
+const sendEmail = require('./sendEmail');
+const { getFileStorage } = require('./fileStorage');
+
+// Largest proof image accepted, and how many images one order can have
+const MAX_PROOF_FILE_BYTES = (parseInt(process.env.PROOF_MAX_FILE_MB) || 5) * 1024 * 1024;
+const MAX_PROOF_FILES = 5;
+
+// Accepted image types, recognised by their first bytes rather than the Content-Type header
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/webp', extension: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+/**
+ * Emails the customer the code they give the agent at the door.
+ * Failures are logged and never stop the order going out for delivery.
+ *
+ * @param {object} order - The Order document.
+ * @param {object} customer - The User document of the customer (firstName and email).
+ * @param {string} code - The plain delivery code from order.createDeliveryCode().
+ */
+const sendDeliveryCodeEmail = async (order, customer, code) => {
+  const emailContent = `
+    <p>Dear ${customer.firstName || 'customer'},</p>
+    <p>Your order #${order._id} is out for delivery!</p>
+    <p>Please give this code to the delivery agent when your order arrives:</p>
+    <p style="font-size: 24px; letter-spacing: 4px;"><strong>${code}</strong></p>
+    <p>Only share it once you have your order in hand. The code is valid until ${order.deliveryCodeExpiresAt.toUTCString()}.</p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  try {
+    await sendEmail({
+      email: customer.email,
+      subject: `Your delivery code for Order #${order._id}`,
+      html: emailContent,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send delivery code email for order ${order._id}:`, emailError);
+  }
+};
+
+/**
+ * Checks an uploaded proof image and stores it, then adds it to order.proofOfDelivery.files (the caller saves).
+ *
+ * @param {object} order - The Order document.
+ * @param {Buffer} buffer - The raw image bytes.
+ * @param {object} options
+ * @param {string} options.kind - 'photo' or 'signature'.
+ * @param {string} options.uploadedBy - ID of the user uploading it.
+ * @returns {Promise<object>} `{ file }` (the new proofOfDelivery.files entry) or `{ error: { status, message } }`.
+ */
+const storeProofFile = async (order, buffer, { kind, uploadedBy }) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: { status: 400, message: 'Send the image as the request body (Content-Type image/jpeg, image/png or image/webp).' } };
+  }
+  if (buffer.length > MAX_PROOF_FILE_BYTES) {
+    return { error: { status: 413, message: `Images can be at most ${MAX_PROOF_FILE_BYTES / (1024 * 1024)} MB.` } };
+  }
+  if (order.proofOfDelivery.files.length >= MAX_PROOF_FILES) {
+    return { error: { status: 400, message: `An order can have at most ${MAX_PROOF_FILES} proof-of-delivery images.` } };
+  }
+
+  const imageType = IMAGE_SIGNATURES.find(signature => signature.matches(buffer));
+  if (!imageType) {
+    return { error: { status: 415, message: 'Only JPEG, PNG and WebP images are accepted.' } };
+  }
+
+  const storageKey = `proof-of-delivery/${order._id}/${kind}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${imageType.extension}`;
+  await getFileStorage().save(storageKey, buffer, { contentType: imageType.contentType });
+
+  order.proofOfDelivery.files.push({ kind, storageKey, contentType: imageType.contentType, size: buffer.length, uploadedBy });
+  return { file: order.proofOfDelivery.files[order.proofOfDelivery.files.length - 1] };
+};
+
+/**
+ * @param {object} file - A proofOfDelivery.files entry.
+ * @returns {Promise<Buffer|null>} The stored image, or null if the storage no longer has it.
+ */
+const readProofFile = (file) => getFileStorage().read(file.storageKey);
+
+module.exports = { MAX_PROOF_FILE_BYTES, sendDeliveryCodeEmail, storeProofFile, readProofFile };
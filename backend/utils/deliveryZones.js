@@ -0,0 +1,88 @@
+// backend/utils/deliveryZones.js
+// Purpose: Decides whether the store delivers to an address, and in which delivery zone, by postal code or by
+// the geocoded point falling inside a zone's polygon.
+
+const DeliveryZone = require('../models/DeliveryZone');
+const { normalizePostalCode } = require('./deliveryAgents');
+const { geocodeAddress } = require('./geocoding');
+
+const sameText = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+const hasPoint = (location) => !!location && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+
+/**
+ * Finds the active delivery zone an address is in. The longest matching postal code wins;
+ * otherwise the first zone whose area contains the address's coordinates.
+ *
+ * @param {object} address - `{ postalCode, country, city, address, location }`. If location is undefined and a zone
+ *   has an area, the address is geocoded; pass `location: null` to skip that (e.g. geocoding already failed).
+ * @param {ClientSession} [session] - Mongoose session when called inside a transaction.
+ * @returns {Promise<object>} `{ zone, zonesConfigured }`; zone is null if no active zone covers the address.
+ */
+const findDeliveryZone = async (address, session) => {
+  const activeZones = await DeliveryZone.find({ isActive: true }).session(session);
+  if (activeZones.length === 0) {
+    return { zone: null, zonesConfigured: false };
+  }
+
+  const zones = activeZones.filter(zone => !zone.country || sameText(zone.country, address.country));
+  const postalCode = normalizePostalCode(address.postalCode);
+
+  let bestZone = null;
+  let bestLength = 0;
+  for (const zone of zones) {
+    for (const code of zone.postalCodes) {
+      const normalizedCode = normalizePostalCode(code);
+      if (normalizedCode && postalCode.startsWith(normalizedCode) && normalizedCode.length > bestLength) {
+        bestZone = zone;
+        bestLength = normalizedCode.length;
+      }
+    }
+  }
+  if (bestZone) {
+    return { zone: bestZone, zonesConfigured: true };
+  }
+
+  const areaZones = zones.filter(zone => zone.area && zone.area.type);
+  if (areaZones.length === 0) {
+    return { zone: null, zonesConfigured: true };
+  }
+
+  const location = address.location === undefined ? await geocodeAddress(address) : address.location;
+  if (!hasPoint(location)) {
+    return { zone: null, zonesConfigured: true };
+  }
+
+  const zone = await DeliveryZone.findOne({
+    _id: { $in: areaZones.map(areaZone => areaZone._id) },
+    area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [location.lng, location.lat] } } },
+  }).sort({ createdAt: 1 }).session(session);
+  return { zone, zonesConfigured: true };
+};
+
+/**
+ * Checks that the store delivers to an address, and (if given) that the basket meets the zone's minimum order value.
+ * Until an admin sets up a delivery zone, every address is accepted.
+ *
+ * @param {object} address - As for findDeliveryZone.
+ * @param {object} [options]
+ * @param {number} [options.itemsPrice] - Items subtotal of the basket (before discounts).
+ * @param {ClientSession} [options.session] - Mongoose session when called inside a transaction.
+ * @returns {Promise<object>} `{ zone }` (null when no zones are set up) or `{ error: { status, message } }`.
+ */
+const checkDeliveryAddress = async (address, { itemsPrice, session } = {}) => {
+  const { zone, zonesConfigured } = await findDeliveryZone(address, session);
+
+  if (!zone) {
+    return zonesConfigured
+      ? { error: { status: 400, message: 'Sorry, we do not deliver to this address.' } }
+      : { zone: null };
+  }
+
+  if (itemsPrice !== undefined && itemsPrice < zone.minimumOrderValue) {
+    return { error: { status: 400, message: `The minimum order for delivery to this area is ${zone.minimumOrderValue.toFixed(2)}.` } };
+  }
+
+  return { zone };
+};
+
+module.exports = { findDeliveryZone, checkDeliveryAddress };
@@ -0,0 +1,76 @@
+// backend/utils/emailVerification.js
+// Purpose: Creates, checks and emails the signed links used to verify a user's email address.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sendEmail = require('./sendEmail');
+
+const TOKEN_PURPOSE = 'email-verification';
+
+// Verification links are signed with their own key, so they can never be accepted as access tokens.
+// Uses EMAIL_VERIFICATION_SECRET if set, otherwise a key derived from JWT_SECRET.
+const verificationSecret = () =>
+  process.env.EMAIL_VERIFICATION_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(TOKEN_PURPOSE).digest('hex');
+
+/**
+ * Signs an email verification token for a user.
+ * The email is included so a link stops working if the user changes their address.
+ *
+ * @param {object} user - The User document.
+ * @returns {string} The signed JWT (valid for 24 hours).
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+    verificationSecret(),
+    { expiresIn: '24h' }
+  );
+};
+
+/**
+ * Verifies an email verification token.
+ *
+ * @param {string} token - The token from the verification link.
+ * @returns {object|null} The decoded payload `{ id, email }`, or null if invalid, expired or not a verification token.
+ */
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, verificationSecret());
+    return decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Emails a verification link to the user and records when it was sent.
+ * The user document is modified in memory; the caller saves it.
+ *
+ * @param {object} user - The User document.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${token}`;
+
+  const emailContent = `
+    <p>Dear ${user.firstName || 'customer'},</p>
+    <p>Thanks for signing up! Please confirm your email address by clicking the link below:</p>
+    <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+    <p>The link is valid for 24 hours. You'll need a verified email to place orders.</p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Please verify your email address',
+    html: emailContent,
+  });
+  user.emailVerificationSentAt = new Date();
+};
+
+module.exports = {
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+};
@@ -0,0 +1,80 @@
+// backend/utils/fileStorage.js
+// Purpose: Stores uploaded files (e.g. proof-of-delivery photos) behind a small adapter interface,
+// so they can live on local disk in development and in object storage (S3, GCS, ...) in production.
+//
+// An adapter is an object with:
+//   name                                  - shown in logs
+//   save(key, buffer, { contentType })    - stores the file under key
+//   read(key)                             - resolves to a Buffer, or null if there is no such file
+//   remove(key)                           - deletes the file (no error if it is already gone)
+// Register a different adapter at startup with setFileStorage(adapter).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Creates an adapter that keeps files in a directory on local disk.
+ *
+ * @param {string} directory - Where to store the files (created on first save).
+ * @returns {object} The storage adapter.
+ */
+const createLocalDiskStorage = (directory) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by us, but never let one point outside the storage directory
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: `local disk (${root})`,
+    async save(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+  };
+};
+
+let fileStorage = null;
+
+/**
+ * @returns {object} The storage adapter in use (local disk in UPLOAD_DIR, or backend/uploads, unless replaced).
+ */
+const getFileStorage = () => {
+  if (!fileStorage) {
+    fileStorage = createLocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+  }
+  return fileStorage;
+};
+
+/**
+ * Replaces the storage adapter, e.g. with one backed by S3. Call once at startup.
+ *
+ * @param {object} adapter - An object with save, read and remove (see the top of this file).
+ */
+const setFileStorage = (adapter) => {
+  for (const method of ['save', 'read', 'remove']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`File storage adapter is missing ${method}()`);
+    }
+  }
+  fileStorage = adapter;
+};
+
+module.exports = { createLocalDiskStorage, getFileStorage, setFileStorage };
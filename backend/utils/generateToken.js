@@ -4,22 +4,24 @@
 const jwt = require('jsonwebtoken'); // Import the jsonwebtoken library
 
 /**
- * Generates a JSON Web Token (JWT) for a user.
+ * Generates a short-lived access token (JWT) for a user.
  * This token is used to authenticate the user on subsequent requests.
+ * When it expires, the client exchanges its refresh token for a new one (POST /api/users/refresh-token).
  *
  * @param {string} id - The MongoDB ObjectId of the user.
  * @param {string} role - The role of the user (e.g., 'customer', 'admin').
+ * @param {string} sessionId - The login session (see RefreshToken) the token belongs to, so it can be revoked.
  * @returns {string} The signed JWT.
  */
-const generateToken = (id, role) => {
+const generateToken = (id, role, sessionId) => {
   // jwt.sign() creates the token
-  // First argument: payload (data to store in the token, e.g., user ID and role)
+  // First argument: payload (data to store in the token, e.g., user ID, role and session)
   // Second argument: secret key (used to sign the token securely, from .env)
   // Third argument: options (e.g., expiration time)
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: '30d', // The token will expire after 30 days
+  return jwt.sign({ id, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m', // Short-lived; revocation is checked by 'protect'
   });
 };
 
 // Export the generateToken function so it can be imported and used by other files
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
@@ -0,0 +1,101 @@
+// backend/utils/geocoding.js
+// Purpose: Turns delivery addresses into coordinates (for route planning) behind a small provider interface,
+// so a local lookup table can be used by default and an online service (Google, Mapbox, Nominatim, ...) in production.
+//
+// A provider is an object with:
+//   name                                              - stored with each result and shown in logs
+//   geocode({ address, city, postalCode, country })   - resolves to { lat, lng, precision }, or null if not found
+// Register a different provider at startup with setGeocoder(provider).
+
+const fs = require('fs');
+const path = require('path');
+const { normalizePostalCode } = require('./deliveryAgents');
+
+const normalizeCity = (city) => String(city || '').trim().toLowerCase();
+
+/**
+ * Creates a provider that looks addresses up in a table of postal codes and cities, e.g.
+ * `{ "postalCodes": { "10001": { "lat": 40.75, "lng": -73.99 } }, "cities": { "new york": { ... } } }`.
+ * Postal codes match on their longest listed prefix (like agent service areas); the city is the fallback.
+ *
+ * @param {object} table - The lookup table.
+ * @returns {object} The geocoding provider.
+ */
+const createLookupTableGeocoder = (table = {}) => {
+  const postalCodes = new Map(Object.entries(table.postalCodes || {}).map(([code, point]) => [normalizePostalCode(code), point]));
+  const cities = new Map(Object.entries(table.cities || {}).map(([city, point]) => [normalizeCity(city), point]));
+
+  return {
+    name: 'lookup-table',
+    async geocode({ city, postalCode }) {
+      const code = normalizePostalCode(postalCode);
+      for (let length = code.length; length > 0; length--) {
+        const point = postalCodes.get(code.slice(0, length));
+        if (point) {
+          return { lat: point.lat, lng: point.lng, precision: 'postal-code' };
+        }
+      }
+
+      const point = cities.get(normalizeCity(city));
+      return point ? { lat: point.lat, lng: point.lng, precision: 'city' } : null;
+    },
+  };
+};
+
+let geocoder = null;
+
+/**
+ * @returns {object} The provider in use (the lookup table in GEOCODE_TABLE_FILE, or backend/data/geocodes.json, unless replaced).
+ */
+const getGeocoder = () => {
+  if (!geocoder) {
+    const tableFile = process.env.GEOCODE_TABLE_FILE || path.join(__dirname, '..', 'data', 'geocodes.json');
+    let table = {};
+    try {
+      table = JSON.parse(fs.readFileSync(tableFile, 'utf8'));
+    } catch (error) {
+      console.error(`Could not load the geocoding table ${tableFile}; addresses will not be geocoded:`, error.message);
+    }
+    geocoder = createLookupTableGeocoder(table);
+  }
+  return geocoder;
+};
+
+/**
+ * Replaces the geocoding provider, e.g. with one backed by an online service. Call once at startup.
+ *
+ * @param {object} provider - An object with name and geocode() (see the top of this file).
+ */
+const setGeocoder = (provider) => {
+  if (typeof provider.geocode !== 'function') {
+    throw new Error('Geocoding provider is missing geocode()');
+  }
+  geocoder = provider;
+};
+
+const isValidPoint = (point) =>
+  !!point && Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+  Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+
+/**
+ * Geocodes an address. Provider failures are logged and give null, so they never block an order or address change.
+ *
+ * @param {object} address - An object with address, city, postalCode and country (e.g. an order's shippingAddress).
+ * @returns {Promise<object|null>} The value to store as the address's `location`
+ *   (`{ lat, lng, precision, provider, geocodedAt }`), or null if the address could not be found.
+ */
+const geocodeAddress = async ({ address, city, postalCode, country }) => {
+  const provider = getGeocoder();
+  try {
+    const point = await provider.geocode({ address, city, postalCode, country });
+    if (!isValidPoint(point)) {
+      return null;
+    }
+    return { lat: point.lat, lng: point.lng, precision: point.precision, provider: provider.name, geocodedAt: new Date() };
+  } catch (error) {
+    console.error(`Geocoding failed (${provider.name}) for ${city} ${postalCode}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = { createLookupTableGeocoder, getGeocoder, setGeocoder, geocodeAddress };
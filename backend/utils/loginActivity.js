@@ -0,0 +1,90 @@
+// backend/utils/loginActivity.js
+// Purpose: Records login attempts in the user's login history and emails the user about logins from new devices.
+
+const crypto = require('crypto');
+const LoginHistory = require('../models/LoginHistory');
+const sendEmail = require('./sendEmail');
+
+const deviceHashFor = (userAgent) => crypto.createHash('sha256').update(userAgent || 'unknown').digest('hex');
+
+/**
+ * Emails the user that their account was accessed from a device it hasn't seen before.
+ * Failures are logged and never affect the login.
+ *
+ * @param {object} user - The User document.
+ * @param {object} entry - The LoginHistory entry of the login.
+ */
+const sendNewDeviceEmail = async (user, entry) => {
+  const forgotPasswordUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+  const emailContent = `
+    <p>Dear ${user.firstName || 'customer'},</p>
+    <p>Your account was just signed in to from a new device:</p>
+    <ul>
+      <li><strong>Time:</strong> ${entry.createdAt.toUTCString()}</li>
+      <li><strong>IP address:</strong> ${entry.ip || 'unknown'}</li>
+      <li><strong>Device:</strong> ${entry.userAgent || 'unknown'}</li>
+    </ul>
+    <p>If this was you, you can ignore this email.</p>
+    <p>If it wasn't, please <a href="${forgotPasswordUrl}">reset your password</a> straight away. This will also sign out every device.</p>
+    <p>The ${process.env.EMAIL_FROM_NAME} Team</p>
+  `;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'New sign-in to your account',
+      html: emailContent,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send new device email to ${user.email}:`, emailError);
+  }
+};
+
+/**
+ * Adds a login attempt to the user's history. For a successful login from a device that has
+ * never logged in successfully before, the user is notified by email (unless `notify` is false
+ * or this is the first login on record for the account).
+ *
+ * @param {object} user - The User document.
+ * @param {object} req - The Express request (for the IP and user agent).
+ * @param {object} options
+ * @param {boolean} options.success - Whether the attempt succeeded.
+ * @param {string} [options.failureReason] - Why the attempt failed.
+ * @param {boolean} [options.notify=true] - Email the user about a new device (false e.g. on registration).
+ * @returns {Promise<object|null>} The LoginHistory entry, or null if it could not be saved.
+ */
+const recordLoginAttempt = async (user, req, { success, failureReason, notify = true }) => {
+  try {
+    const userAgent = req.get('user-agent');
+    const deviceHash = deviceHashFor(userAgent);
+
+    let newDevice = false;
+    let knownDevicesExist = false;
+    if (success) {
+      newDevice = !(await LoginHistory.exists({ user: user._id, deviceHash, success: true }));
+      // Accounts with no history yet (e.g. created before it was recorded) have nothing to compare against
+      knownDevicesExist = newDevice && !!(await LoginHistory.exists({ user: user._id, success: true }));
+    }
+
+    const entry = await LoginHistory.create({
+      user: user._id,
+      success,
+      failureReason,
+      ip: req.ip,
+      userAgent,
+      deviceHash,
+      newDevice,
+    });
+
+    if (newDevice && knownDevicesExist && notify) {
+      await sendNewDeviceEmail(user, entry);
+    }
+    return entry;
+  } catch (error) {
+    // The history is informational; never fail a login because it couldn't be written
+    console.error(`Failed to record login attempt for user ${user._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = { recordLoginAttempt };
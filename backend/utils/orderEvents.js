@@ -0,0 +1,81 @@
+// backend/utils/orderEvents.js
+// Purpose: Passes live order updates (created, paid, status, assignment, agent location) to whoever is listening,
+// e.g. the customer's tracking stream or the staff WebSocket. Events only reach listeners in this process;
+// running several instances would need a shared channel (e.g. Redis pub/sub) behind the same functions.
+
+const { EventEmitter } = require('events');
+
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0); // One listener per open tracking stream
+
+// Channel that receives the events of every order
+const ALL_ORDERS = '*';
+
+/**
+ * Sends an event to everyone listening to the order, and to everyone listening to all orders.
+ *
+ * @param {string|ObjectId} orderId - The order the event is about.
+ * @param {string} type - 'created', 'paid', 'status', 'assignment' or 'location'.
+ * @param {object} data - The event payload (sent to clients as JSON).
+ */
+const publishOrderEvent = (orderId, type, data) => {
+  orderEvents.emit(orderId.toString(), { type, data });
+  orderEvents.emit(ALL_ORDERS, { orderId: orderId.toString(), type, data });
+};
+
+/**
+ * Listens to the events of one order.
+ *
+ * @param {string|ObjectId} orderId - The order to listen to.
+ * @param {Function} listener - Called with `{ type, data }` for each event.
+ * @returns {Function} Call it to stop listening.
+ */
+const subscribeToOrder = (orderId, listener) => {
+  const channel = orderId.toString();
+  orderEvents.on(channel, listener);
+  return () => orderEvents.off(channel, listener);
+};
+
+/**
+ * Listens to the events of every order.
+ *
+ * @param {Function} listener - Called with `{ orderId, type, data }` for each event.
+ * @returns {Function} Call it to stop listening.
+ */
+const subscribeToAllOrders = (listener) => subscribeToOrder(ALL_ORDERS, listener);
+
+// Events raised inside a transaction, waiting for it to commit (dropped with the session if it is aborted)
+const pendingEvents = new WeakMap();
+
+/**
+ * Like publishOrderEvent, but if the session is in a transaction the event is held back until
+ * flushOrderEvents(session) is called after the commit, so listeners never hear about changes that were rolled back.
+ *
+ * @param {ClientSession} [session] - The session the change was saved with, if any.
+ * @param {string|ObjectId} orderId - The order the event is about.
+ * @param {string} type - As for publishOrderEvent.
+ * @param {object} data - The event payload.
+ */
+const publishOrderEventOnCommit = (session, orderId, type, data) => {
+  if (!session || !session.inTransaction()) {
+    publishOrderEvent(orderId, type, data);
+    return;
+  }
+  if (!pendingEvents.has(session)) {
+    pendingEvents.set(session, []);
+  }
+  pendingEvents.get(session).push({ orderId, type, data });
+};
+
+/**
+ * Publishes the events held back for a transaction. Call right after session.commitTransaction().
+ *
+ * @param {ClientSession} session - The session whose transaction was committed.
+ */
+const flushOrderEvents = (session) => {
+  const events = pendingEvents.get(session) || [];
+  pendingEvents.delete(session);
+  events.forEach(({ orderId, type, data }) => publishOrderEvent(orderId, type, data));
+};
+
+module.exports = { publishOrderEvent, publishOrderEventOnCommit, flushOrderEvents, subscribeToOrder, subscribeToAllOrders };
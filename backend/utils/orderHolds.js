@@ -0,0 +1,53 @@
+// backend/utils/orderHolds.js
+// Purpose: Releases and re-acquires what an unpaid order is holding (stock, its delivery window and its coupon use).
+
+const StockReservation = require('../models/StockReservation');
+const DeliverySlot = require('../models/DeliverySlot');
+const Coupon = require('../models/Coupon');
+
+/**
+ * Gives back the stock, delivery window and coupon use held by an unpaid order
+ * (cancelled, failed payment or expired hold). Safe to call more than once.
+ * The order is modified in memory; the caller saves it.
+ *
+ * @param {object} order - The Order document.
+ * @param {string} reason - Why the hold is released (stored on the StockReservation).
+ * @param {ClientSession} [session] - Mongoose session when called inside a transaction.
+ */
+const releaseOrderHolds = async (order, reason, session) => {
+  await StockReservation.releaseForOrder(order._id, reason, session);
+  await DeliverySlot.releaseForOrder(order, session);
+  await Coupon.releaseForOrder(order, session);
+};
+
+/**
+ * Takes the stock (and, if still available, the delivery window) and the coupon use back for an order whose holds
+ * were released, so the customer can retry payment. Extends the hold if the order still has one.
+ *
+ * @returns {Promise<object>} `{ ok: true, slotLost }` or `{ ok: false, message }` if an item is out of stock.
+ */
+const reacquireOrderHolds = async (order, session) => {
+  const stock = await StockReservation.hold(order, session);
+  if (!stock.ok) {
+    return stock;
+  }
+
+  let slotLost = false;
+  if (order.deliverySlot && order.deliverySlotReleasedAt) {
+    const slot = await DeliverySlot.reserve(order.deliverySlot, session);
+    if (slot) {
+      order.deliverySlotReleasedAt = undefined;
+    } else {
+      // The window filled up in the meantime; the order continues without one
+      order.deliverySlot = null;
+      order.deliverySlotReleasedAt = undefined;
+      slotLost = true;
+    }
+  }
+
+  await Coupon.restoreForOrder(order, session);
+
+  return { ok: true, slotLost };
+};
+
+module.exports = { releaseOrderHolds, reacquireOrderHolds };
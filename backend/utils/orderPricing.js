@@ -0,0 +1,181 @@
+// backend/utils/orderPricing.js
+// Purpose: Server-side price calculation for checkout and quotes (items, coupon, shipping and tax).
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const TaxRate = require('../models/TaxRate');
+const ShippingZone = require('../models/ShippingZone');
+
+// Fallbacks used when an admin hasn't configured a matching rule yet (the previous hardcoded values)
+const DEFAULT_TAX_RATE = 0.05;
+const DEFAULT_SHIPPING_FEE = 10.00;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+const sameText = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+const normalizePostalCode = (postalCode) => (postalCode || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Looks up each requested item against the Product collection.
+ *
+ * @param {Array<{product: string, quantity: number, price?: number, name?: string}>} orderItems - Items from the request or cart.
+ * @param {object} options
+ * @param {boolean} options.verifyPrices - Reject items whose client price differs from the live product price.
+ * @param {boolean} [options.checkStock=true] - Reject items with insufficient stock.
+ * @param {ClientSession} [options.session] - Mongoose session when called inside a transaction.
+ * @returns {Promise<object>} `{ items, itemsPrice, totalWeight, itemCount }`, or `{ error: { status, message } }`.
+ */
+const priceOrderItems = async (orderItems, { verifyPrices, checkStock = true, session } = {}) => {
+  let itemsPrice = 0;
+  let totalWeight = 0;
+  let itemCount = 0;
+  const items = [];
+
+  for (const item of orderItems) {
+    const product = await Product.findById(item.product).session(session);
+
+    if (!product) {
+      return { error: { status: 404, message: `Product not found: ${item.name || item.product}` } };
+    }
+
+    // --- SECURITY CHECK: VERIFY PRICE FROM DATABASE ---
+    if (verifyPrices && product.price !== item.price) {
+      return { error: { status: 400, message: `Price mismatch for product: ${product.name}. Expected: ${product.price}, Received: ${item.price}` } };
+    }
+
+    if (checkStock && product.stockQuantity < item.quantity) {
+      return { error: { status: 400, message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}` } };
+    }
+
+    itemsPrice += product.price * item.quantity;
+    totalWeight += (product.weight || 0) * item.quantity;
+    itemCount += item.quantity;
+
+    items.push({
+      name: product.name,
+      quantity: item.quantity,
+      image: product.images && product.images.length > 0 ? product.images[0] : item.image,
+      price: product.price,
+      product: product._id,
+    });
+  }
+
+  return { items, itemsPrice: roundPrice(itemsPrice), totalWeight, itemCount };
+};
+
+/**
+ * Finds a coupon by code and checks it can be used by this customer for this subtotal.
+ * Does not count the use; call `Coupon.redeem()` when the order is actually placed.
+ *
+ * @returns {Promise<object>} `{ coupon }` or `{ error: { status, message } }`.
+ */
+const checkCoupon = async (code, userId, itemsPrice, session) => {
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() }).session(session);
+  const reason = coupon ? coupon.getIneligibilityReason(itemsPrice) : 'Invalid coupon code.';
+  if (reason) {
+    return { error: { status: 400, message: reason } };
+  }
+
+  if (coupon.perUserLimit !== null) {
+    const timesUsed = await Order.countDocuments({
+      user: userId,
+      couponCode: coupon.code,
+      orderStatus: { $ne: 'Cancelled' }
+    }).session(session);
+    if (timesUsed >= coupon.perUserLimit) {
+      return { error: { status: 400, message: 'You have already used this coupon the maximum number of times.' } };
+    }
+  }
+
+  return { coupon };
+};
+
+// Region rule for the city wins over the country-wide rule
+const findTaxRate = async (shippingAddress, session) => {
+  const rules = await TaxRate.find({ isActive: true }).session(session);
+  const countryRules = rules.filter(rule => sameText(rule.country, shippingAddress.country));
+  return countryRules.find(rule => sameText(rule.region, shippingAddress.city)) ||
+    countryRules.find(rule => !rule.region) ||
+    null;
+};
+
+// Longest matching postal-code prefix wins; otherwise the default zone (country-specific first)
+const findShippingZone = async (shippingAddress, session) => {
+  const postalCode = normalizePostalCode(shippingAddress.postalCode);
+  const zones = (await ShippingZone.find({ isActive: true }).session(session))
+    .filter(zone => !zone.country || sameText(zone.country, shippingAddress.country));
+
+  let bestZone = null;
+  let bestLength = 0;
+  for (const zone of zones) {
+    for (const prefix of zone.postalCodePrefixes) {
+      const normalizedPrefix = normalizePostalCode(prefix);
+      if (normalizedPrefix && postalCode.startsWith(normalizedPrefix) && normalizedPrefix.length > bestLength) {
+        bestZone = zone;
+        bestLength = normalizedPrefix.length;
+      }
+    }
+  }
+
+  if (bestZone) return bestZone;
+
+  const defaultZones = zones.filter(zone => zone.isDefault);
+  return defaultZones.find(zone => zone.country) || defaultZones[0] || null;
+};
+
+/**
+ * Calculates the full price breakdown for a basket shipped to an address.
+ * Discounts are applied before tax, so tax is charged on the discounted subtotal.
+ *
+ * @param {object} basket - `{ itemsPrice, totalWeight, itemCount, shippingAddress, coupon, deliveryZone }`
+ *   (coupon and deliveryZone are optional; a delivery zone with its own fee replaces the shipping zone fee,
+ *   but baskets over the shipping zone's free-shipping threshold still ship free).
+ * @param {ClientSession} [session] - Mongoose session when called inside a transaction.
+ * @returns {Promise<object>} The price breakdown, with every amount rounded to 2 decimals.
+ */
+const calculateOrderPricing = async ({ itemsPrice, totalWeight, itemCount, shippingAddress, coupon, deliveryZone }, session) => {
+  const [taxRule, shippingZone] = await Promise.all([
+    findTaxRate(shippingAddress, session),
+    findShippingZone(shippingAddress, session),
+  ]);
+
+  const taxRate = taxRule ? taxRule.rate : DEFAULT_TAX_RATE;
+  let shippingPrice = shippingZone
+    ? shippingZone.calculateFee({ itemsPrice, totalWeight, itemCount })
+    : DEFAULT_SHIPPING_FEE;
+  if (deliveryZone && deliveryZone.deliveryFee !== null) {
+    const shipsFree = !!shippingZone && shippingZone.freeShippingThreshold !== null && itemsPrice >= shippingZone.freeShippingThreshold;
+    shippingPrice = shipsFree ? 0 : deliveryZone.deliveryFee;
+  }
+
+  let itemsDiscount = 0;
+  let shippingDiscount = 0;
+  if (coupon) {
+    ({ itemsDiscount, shippingDiscount } = coupon.calculateDiscount(itemsPrice, shippingPrice));
+    shippingPrice -= shippingDiscount;
+  }
+
+  const taxPrice = (itemsPrice - itemsDiscount) * taxRate;
+  const totalPrice = itemsPrice - itemsDiscount + taxPrice + shippingPrice;
+
+  return {
+    itemsPrice: roundPrice(itemsPrice),
+    itemsDiscount: roundPrice(itemsDiscount),
+    shippingDiscount: roundPrice(shippingDiscount),
+    discountPrice: roundPrice(itemsDiscount + shippingDiscount),
+    couponCode: coupon ? coupon.code : undefined,
+    shippingZone: shippingZone ? shippingZone.name : null,
+    deliveryZone: deliveryZone ? deliveryZone.name : null,
+    shippingPrice: roundPrice(shippingPrice),
+    taxRate,
+    taxPrice: roundPrice(taxPrice),
+    totalPrice: roundPrice(totalPrice),
+  };
+};
+
+module.exports = {
+  priceOrderItems,
+  checkCoupon,
+  calculateOrderPricing,
+  roundPrice,
+};
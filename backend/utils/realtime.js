@@ -0,0 +1,174 @@
+// backend/utils/realtime.js
+// Purpose: WebSocket channel for staff and delivery agent dashboards. Pushes order events (created, paid,
+// status changed, assignment) as they happen: staff who can view orders get every event, delivery agents
+// only the events of orders assigned to them.
+//
+// Connect with: new WebSocket('wss://<host>/api/ws?access_token=<access token>')
+// Messages are JSON: { event, orderId, data, at }, where event is one of the values of SOCKET_EVENTS.
+// The connection is closed with code 4001 when the access token expires; reconnect with a refreshed one.
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateAccessToken } = require('../middleware/authMiddleware');
+const { subscribeToAllOrders } = require('./orderEvents');
+const { DELIVERY_AGENT_ROLE } = require('./deliveryAgents');
+
+const SOCKET_PATH = '/api/ws';
+const HEARTBEAT_MS = 30 * 1000; // Ping clients this often; ones that did not answer the last ping are dropped
+const TOKEN_EXPIRED_CLOSE_CODE = 4001;
+
+// Order events (see utils/orderEvents) sent over the socket, and their names on the wire
+const SOCKET_EVENTS = {
+  created: 'order.created',
+  paid: 'order.paid',
+  status: 'order.status-changed',
+  assignment: 'order.assignment',
+};
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 500: 'Internal Server Error' };
+
+// Rejects a WebSocket upgrade with a plain HTTP response
+const rejectUpgrade = (socket, status, message) => {
+  const body = JSON.stringify({ message });
+  socket.write(
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+  socket.destroy();
+};
+
+/**
+ * Works out which order events a user may receive.
+ *
+ * @param {object} user - The authenticated User document.
+ * @param {string[]} permissions - The permissions of the user's role.
+ * @returns {object|null} `{ scope: 'all' }`, `{ scope: 'agent', agentId }`, or null if the user may not connect.
+ */
+const subscriptionFor = (user, permissions) => {
+  if (user.role === DELIVERY_AGENT_ROLE) {
+    return { scope: 'agent', agentId: user._id.toString() };
+  }
+  if (permissions.includes('orders:read')) {
+    return { scope: 'all' };
+  }
+  return null;
+};
+
+// Whether an event is about an order of the agent (including the assignment event that took it away from them)
+const isAgentEvent = (agentId, type, data) => {
+  const involved = [data.deliveryAgent];
+  if (type === 'assignment') {
+    involved.push(data.agent, data.previousAgent);
+  }
+  return involved.some(id => id && id.toString() === agentId);
+};
+
+/**
+ * Accepts WebSocket connections on /api/ws of an HTTP server and streams order events to them.
+ * Call once, with the server returned by app.listen().
+ *
+ * @param {object} server - The Node HTTP server.
+ * @returns {object} The ws WebSocketServer.
+ */
+const attachRealtimeServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Never throws: a rejected promise from an 'upgrade' listener would crash the process
+  const handleUpgrade = async (req, socket, head) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      return rejectUpgrade(socket, 400, 'Invalid request URL');
+    }
+    if (url.pathname !== SOCKET_PATH) {
+      return socket.destroy();
+    }
+
+    // Browsers cannot set headers on a WebSocket, so the access token comes in the query string
+    const token = url.searchParams.get('access_token');
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Not authorized, no token');
+    }
+
+    let auth;
+    try {
+      auth = await authenticateAccessToken(token);
+    } catch (error) {
+      return rejectUpgrade(socket, 401, 'Not authorized, token failed');
+    }
+    if (auth.error) {
+      return rejectUpgrade(socket, auth.error.status, auth.error.message);
+    }
+
+    const subscription = subscriptionFor(auth.user, auth.permissions);
+    if (!subscription) {
+      return rejectUpgrade(socket, 403, 'Only staff and delivery agents can receive live order events');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.subscription = subscription;
+      ws.tokenExpiresAt = auth.decoded.exp * 1000;
+      wss.emit('connection', ws, req);
+    });
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    socket.on('error', () => socket.destroy()); // e.g. the client hung up while we were authenticating
+    handleUpgrade(req, socket, head).catch((error) => {
+      console.error('Error handling WebSocket upgrade:', error);
+      if (!socket.destroyed) {
+        rejectUpgrade(socket, 500, 'Server Error');
+      }
+    });
+  });
+
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('error', (error) => console.error('WebSocket error:', error.message));
+
+    const expiry = setTimeout(
+      () => ws.close(TOKEN_EXPIRED_CLOSE_CODE, 'Access token expired'),
+      Math.max(ws.tokenExpiresAt - Date.now(), 0)
+    );
+    ws.on('close', () => clearTimeout(expiry));
+  });
+
+  // One listener for all sockets rather than one per connection
+  const unsubscribe = subscribeToAllOrders(({ orderId, type, data }) => {
+    const event = SOCKET_EVENTS[type];
+    if (!event || wss.clients.size === 0) return;
+
+    const message = JSON.stringify({ event, orderId, data, at: new Date() });
+    for (const ws of wss.clients) {
+      if (ws.readyState !== WebSocket.OPEN) continue;
+      const { scope, agentId } = ws.subscription;
+      if (scope === 'all' || (scope === 'agent' && isAgentEvent(agentId, type, data))) {
+        ws.send(message);
+      }
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  return wss;
+};
+
+module.exports = { SOCKET_EVENTS, attachRealtimeServer };
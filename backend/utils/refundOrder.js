@@ -0,0 +1,206 @@
+// backend/utils/refundOrder.js
+// Purpose: Issues Stripe refunds for paid orders and keeps the Order's refund history in sync.
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { roundPrice } = require('./orderPricing');
+const { flushOrderEvents } = require('./orderEvents');
+const { runWithoutAudit } = require('./auditTrail');
+
+// Share of the order total that belongs to the items (i.e. total minus shipping), per unit of item subtotal.
+// Used so a line-item refund also gives back its part of the tax and of any coupon discount.
+const itemsRefundRatio = (order) => {
+  const itemsPrice = order.itemsPrice || order.orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (!itemsPrice) return 0;
+  return (order.totalPrice - order.shippingPrice) / itemsPrice;
+};
+
+/**
+ * Refunds a paid order through Stripe, in full or for specific line items.
+ *
+ * @param {object} order - The Order document (must be paid through Stripe).
+ * @param {object} options
+ * @param {Array<{orderItem: string, quantity: number}>} [options.items] - Line items to refund; omit for a full refund.
+ * @param {boolean} [options.restock=false] - Return the refunded quantities to Product.stockQuantity.
+ * @param {string} [options.reason] - Free-text reason stored on the refund record.
+ * @param {string} [options.source='admin'] - Who initiated the refund ('admin', 'customer' or 'system').
+ * @param {string} [options.refundedBy] - ID of the user who initiated the refund.
+ * @param {Function} [options.beforeSave] - Called with the session inside the refund's transaction, just before the order
+ *   is saved, for changes that must be committed together with the refund (e.g. releasing a cancelled order's holds).
+ * @returns {Promise<object>} `{ order, refund }` or `{ error: { status, message } }`.
+ */
+const refundOrder = async (order, { items, restock = false, reason, source = 'admin', refundedBy, beforeSave } = {}) => {
+  if (!order.isPaid || !order.paymentResult || !order.paymentResult.id) {
+    return { error: { status: 400, message: 'Only orders paid through Stripe can be refunded.' } };
+  }
+
+  const remainingAmount = roundPrice(order.totalPrice - order.refundedAmount);
+  if (remainingAmount <= 0) {
+    return { error: { status: 400, message: 'This order has already been fully refunded.' } };
+  }
+
+  // --- Work out which quantities and what amount to refund ---
+  let lines = [];
+  let amount;
+
+  if (items && items.length > 0) {
+    for (const requested of items) {
+      const orderItem = order.orderItems.id(requested.orderItem);
+      if (!orderItem) {
+        return { error: { status: 404, message: `Order item not found: ${requested.orderItem}` } };
+      }
+      const refundable = orderItem.quantity - orderItem.refundedQuantity;
+      if (requested.quantity > refundable) {
+        return { error: { status: 400, message: `Only ${refundable} of ${orderItem.name} can still be refunded.` } };
+      }
+      lines.push({ orderItem, quantity: requested.quantity });
+    }
+
+    const linesSubtotal = lines.reduce((sum, line) => sum + line.orderItem.price * line.quantity, 0);
+    amount = Math.min(roundPrice(linesSubtotal * itemsRefundRatio(order)), remainingAmount);
+  } else {
+    lines = order.orderItems
+      .filter(orderItem => orderItem.quantity > orderItem.refundedQuantity)
+      .map(orderItem => ({ orderItem, quantity: orderItem.quantity - orderItem.refundedQuantity }));
+    amount = remainingAmount;
+  }
+
+  if (amount <= 0) {
+    return { error: { status: 400, message: 'Nothing to refund for the selected items.' } };
+  }
+
+  // --- Ask Stripe to refund the payment ---
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: order.paymentResult.id,
+    amount: Math.round(amount * 100), // Stripe expects the amount in cents
+    metadata: { order_id: order._id.toString() },
+  });
+
+  // --- Record the refund (and restock) in one transaction ---
+  // If this fails, the money has still been returned; the charge.refunded webhook will reconcile the amount.
+  const session = await Order.startSession();
+  session.startTransaction();
+  try {
+    // The charge.refunded webhook may have recorded this refund while Stripe was being called, so start from the
+    // refund history as it is now rather than as it was loaded (the caller's other unsaved changes are kept)
+    const current = await Order.findById(order._id).select('refunds refundedAmount isRefunded refundedAt').session(session);
+    if (current) {
+      order.refunds = current.refunds;
+      order.refundedAmount = current.refundedAmount;
+      order.isRefunded = current.isRefunded;
+      order.refundedAt = current.refundedAt;
+    }
+
+    lines.forEach(line => { line.orderItem.refundedQuantity += line.quantity; });
+
+    const refundDetails = {
+      stripeRefundId: stripeRefund.id,
+      reason,
+      items: lines.map(line => ({
+        orderItem: line.orderItem._id,
+        product: line.orderItem.product,
+        quantity: line.quantity,
+      })),
+      restocked: restock,
+      status: stripeRefund.status,
+      source,
+      refundedBy,
+    };
+
+    // Recorded by the webhook either under its Stripe id, or (without the refunds list) as an unexplained difference
+    const recorded = order.refunds.find(r => r.stripeRefundId === stripeRefund.id) ||
+      order.refunds.find(r => !r.stripeRefundId && r.source === 'stripe' && roundPrice(r.amount) === amount);
+    if (recorded) {
+      // The webhook has already counted the amount; fill in what only this side knows
+      recorded.set({ ...refundDetails, amount: recorded.amount });
+    } else {
+      order.refunds.push({ ...refundDetails, amount });
+      order.refundedAmount = roundPrice(order.refundedAmount + amount);
+    }
+
+    if (order.refundedAmount >= order.totalPrice) {
+      order.isRefunded = true;
+      order.refundedAt = new Date();
+    }
+
+    if (restock) {
+      for (const line of lines) {
+        await runWithoutAudit(() => Product.updateOne(
+          { _id: line.orderItem.product },
+          { $inc: { stockQuantity: line.quantity } },
+          { session }
+        ).exec());
+      }
+    }
+
+    if (beforeSave) {
+      await beforeSave(session);
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+    flushOrderEvents(session);
+  } catch (transactionError) {
+    await session.abortTransaction();
+    console.error(`[REFUND ERROR] Stripe refund ${stripeRefund.id} succeeded but order ${order._id} could not be updated:`, transactionError);
+    throw transactionError;
+  } finally {
+    session.endSession();
+  }
+
+  return { order, refund: stripeRefund };
+};
+
+/**
+ * Reconciles an Order with a Stripe `charge.refunded` event.
+ * Stripe's amount_refunded is the source of truth; refunds made outside this API
+ * (e.g. in the Stripe dashboard) are added to the history with source 'stripe'.
+ *
+ * @param {object} charge - The Stripe Charge object from the event.
+ * @returns {Promise<object|null>} The updated order, or null if no order matches the charge.
+ */
+const reconcileChargeRefund = async (charge) => {
+  const order = await Order.findOne({ 'paymentResult.id': charge.payment_intent });
+  if (!order) {
+    return null;
+  }
+
+  const stripeRefunds = (charge.refunds && charge.refunds.data) || [];
+  for (const stripeRefund of stripeRefunds) {
+    const recorded = order.refunds.find(r => r.stripeRefundId === stripeRefund.id);
+    if (recorded) {
+      recorded.status = stripeRefund.status;
+    } else {
+      order.refunds.push({
+        stripeRefundId: stripeRefund.id,
+        amount: stripeRefund.amount / 100,
+        reason: stripeRefund.reason || 'Refunded in Stripe',
+        status: stripeRefund.status,
+        source: 'stripe',
+      });
+    }
+  }
+
+  // Newer Stripe API versions no longer embed the refunds list; record any unexplained difference instead
+  const totalRefunded = roundPrice(charge.amount_refunded / 100);
+  const recordedTotal = roundPrice(order.refunds.reduce((sum, r) => sum + r.amount, 0));
+  if (stripeRefunds.length === 0 && totalRefunded > recordedTotal) {
+    order.refunds.push({
+      amount: roundPrice(totalRefunded - recordedTotal),
+      reason: 'Refunded in Stripe',
+      status: 'succeeded',
+      source: 'stripe',
+    });
+  }
+
+  order.refundedAmount = totalRefunded;
+  if (charge.refunded) {
+    order.isRefunded = true;
+    order.refundedAt = order.refundedAt || new Date();
+  }
+
+  return order.save();
+};
+
+module.exports = { refundOrder, reconcileChargeRefund };
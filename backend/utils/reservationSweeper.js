@@ -0,0 +1,79 @@
+// backend/utils/reservationSweeper.js
+// Purpose: Background job that gives back stock (and delivery windows) held by orders that were never paid.
+
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const { releaseOrderHolds } = require('./orderHolds');
+const { flushOrderEvents } = require('./orderEvents');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000; // Every minute
+const BATCH_SIZE = 100;
+
+/**
+ * Releases every stock hold whose expiresAt has passed.
+ *
+ * @returns {Promise<number>} The number of holds released.
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'held', expiresAt: { $lte: new Date() } })
+    .limit(BATCH_SIZE);
+
+  let released = 0;
+  for (const reservation of expired) {
+    const session = await Order.startSession();
+    session.startTransaction();
+    try {
+      const order = await Order.findById(reservation.order).session(session);
+      if (order && order.isPaid) {
+        // Payment arrived but the commit was missed - keep the stock sold
+        await StockReservation.commitForOrder(order._id, session);
+      } else if (order) {
+        await releaseOrderHolds(order, 'expired', session);
+        await order.save({ session });
+        released++;
+      } else {
+        // Order was deleted; just give the stock back
+        await StockReservation.releaseForOrder(reservation.order, 'expired', session);
+        released++;
+      }
+      await session.commitTransaction();
+      flushOrderEvents(session);
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`[SWEEPER ERROR] Failed to release reservation for order ${reservation.order}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Starts the periodic sweep. Call once after the database connection is open.
+ *
+ * @returns {NodeJS.Timeout} The interval handle.
+ */
+const startReservationSweeper = () => {
+  let sweeping = false;
+  const timer = setInterval(async () => {
+    if (sweeping) {
+      return; // The previous sweep is still running (e.g. on a slow database); sweeps must not race on the same holds
+    }
+    sweeping = true;
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`[SWEEPER] Released ${released} expired stock reservation(s).`);
+      }
+    } catch (error) {
+      console.error('[SWEEPER ERROR] Reservation sweep failed:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the sweeper
+  return timer;
+};
+
+module.exports = { releaseExpiredReservations, startReservationSweeper };
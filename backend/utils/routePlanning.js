@@ -0,0 +1,137 @@
+// backend/utils/routePlanning.js
+// Purpose: Orders a delivery agent's stops into a short route from the depot (nearest neighbour, improved with 2-opt)
+// and estimates the distance and arrival time of each stop.
+
+// Distances are straight lines, so they are scaled up to approximate the road distance
+const ROAD_DISTANCE_FACTOR = parseFloat(process.env.ROUTE_ROAD_DISTANCE_FACTOR) || 1.3;
+// Average driving speed between stops, and the time spent handing over each order
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 25;
+const MINUTES_PER_STOP = parseFloat(process.env.ROUTE_STOP_MINUTES) || 5;
+// 2-opt stops after this many passes even if it could still improve the route
+const MAX_TWO_OPT_PASSES = 50;
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+/**
+ * Straight-line (great-circle) distance between two points.
+ *
+ * @param {object} from - `{ lat, lng }`.
+ * @param {object} to - `{ lat, lng }`.
+ * @returns {number} Distance in kilometres.
+ */
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * @returns {object|null} The depot `{ lat, lng }` from DEPOT_LAT and DEPOT_LNG, or null if they are not set.
+ */
+const getDepotLocation = () => {
+  const lat = parseFloat(process.env.DEPOT_LAT);
+  const lng = parseFloat(process.env.DEPOT_LNG);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Finds a short order to visit points in, starting at the depot: nearest neighbour first,
+ * then 2-opt (reversing stretches of the route while that makes it shorter).
+ *
+ * @param {object} depot - `{ lat, lng }`.
+ * @param {object[]} points - `{ lat, lng }` of each stop.
+ * @param {object} [options]
+ * @param {boolean} [options.returnToDepot=false] - Whether the route ends back at the depot.
+ * @returns {number[]} Indexes into points, in visiting order.
+ */
+const optimiseStopOrder = (depot, points, { returnToDepot = false } = {}) => {
+  // Node 0 is the depot, node i + 1 is points[i]
+  const nodes = [depot, ...points];
+  const distances = nodes.map(from => nodes.map(to => distanceKm(from, to)));
+
+  // Nearest neighbour: always drive to the closest stop not visited yet
+  const route = [0];
+  const unvisited = new Set(points.map((point, index) => index + 1));
+  while (unvisited.size > 0) {
+    const current = route[route.length - 1];
+    let nearest = null;
+    for (const node of unvisited) {
+      if (nearest === null || distances[current][node] < distances[current][nearest]) {
+        nearest = node;
+      }
+    }
+    route.push(nearest);
+    unvisited.delete(nearest);
+  }
+  if (returnToDepot) {
+    route.push(0);
+  }
+
+  // 2-opt: reverse route[i..k] whenever that shortens it. The depot at the start (and end) stays in place;
+  // on a one-way route the last stop can change, as there is no edge after it.
+  const lastMovable = returnToDepot ? route.length - 2 : route.length - 1;
+  for (let pass = 0, improved = true; improved && pass < MAX_TWO_OPT_PASSES; pass++) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let k = i + 1; k <= lastMovable; k++) {
+        const before = route[i - 1];
+        const after = k + 1 < route.length ? route[k + 1] : null;
+        const removed = distances[before][route[i]] + (after === null ? 0 : distances[route[k]][after]);
+        const added = distances[before][route[k]] + (after === null ? 0 : distances[route[i]][after]);
+        if (added < removed - 1e-9) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route.filter(node => node !== 0).map(node => node - 1);
+};
+
+/**
+ * Plans the route through an agent's stops, with the estimated distance and arrival time of each.
+ *
+ * @param {object} depot - `{ lat, lng }` where the route starts.
+ * @param {object[]} stops - The stops, each with a `location` of `{ lat, lng }` (other fields are passed through).
+ * @param {object} [options]
+ * @param {boolean} [options.returnToDepot=false] - Whether the route ends back at the depot.
+ * @param {Date} [options.startAt=now] - When the agent leaves the depot.
+ * @returns {object} `{ stops, totalDistanceKm, totalDurationMinutes, finishAt }`, where each stop has
+ *   `sequence`, `legDistanceKm`, `cumulativeDistanceKm` and `eta` added. With returnToDepot, `returnDistanceKm` too.
+ */
+const planDeliveryRoute = (depot, stops, { returnToDepot = false, startAt = new Date() } = {}) => {
+  const order = optimiseStopOrder(depot, stops.map(stop => stop.location), { returnToDepot });
+  const minutesToDrive = (km) => km / AVERAGE_SPEED_KMH * 60;
+
+  let from = depot;
+  let totalKm = 0;
+  let elapsedMinutes = 0;
+  const plannedStops = order.map((index, visit) => {
+    const stop = stops[index];
+    const legKm = distanceKm(from, stop.location) * ROAD_DISTANCE_FACTOR;
+    totalKm += legKm;
+    elapsedMinutes += minutesToDrive(legKm);
+    const eta = new Date(startAt.getTime() + elapsedMinutes * 60 * 1000);
+    elapsedMinutes += MINUTES_PER_STOP;
+    from = stop.location;
+    return { ...stop, sequence: visit + 1, legDistanceKm: roundKm(legKm), cumulativeDistanceKm: roundKm(totalKm), eta };
+  });
+
+  const plan = { stops: plannedStops };
+  if (returnToDepot && plannedStops.length > 0) {
+    const returnKm = distanceKm(from, depot) * ROAD_DISTANCE_FACTOR;
+    totalKm += returnKm;
+    elapsedMinutes += minutesToDrive(returnKm);
+    plan.returnDistanceKm = roundKm(returnKm);
+  }
+  plan.totalDistanceKm = roundKm(totalKm);
+  plan.totalDurationMinutes = Math.round(elapsedMinutes);
+  plan.finishAt = new Date(startAt.getTime() + elapsedMinutes * 60 * 1000);
+  return plan;
+};
+
+module.exports = { distanceKm, getDepotLocation, optimiseStopOrder, planDeliveryRoute };
@@ -0,0 +1,104 @@
+// backend/utils/totp.js
+// Purpose: Time-based one-time passwords (RFC 6238) for two-factor authentication, compatible with authenticator apps.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30; // A new code every 30 seconds
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for one counter value
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Generates a new random TOTP secret.
+ *
+ * @returns {string} The secret, base32 encoded (as expected by authenticator apps).
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {string} accountName - Shown in the app, usually the user's email.
+ * @returns {string} The otpauth URI.
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || process.env.EMAIL_FROM_NAME || 'Delivery Platform';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+/**
+ * Checks a code from an authenticator app. The previous and next 30-second steps are
+ * also accepted to allow for clock drift between the phone and the server.
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The 6-digit code entered by the user.
+ * @param {number} [lastUsedStep] - Step of the last code accepted for this user; codes from it or earlier are refused.
+ * @returns {number|null} The time step the code belongs to, or null if it is not valid now.
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let drift = -1; drift <= 1; drift++) {
+    const step = counter + drift;
+    if (Number.isInteger(lastUsedStep) && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+module.exports = { generateTotpSecret, buildOtpauthUri, verifyTotp };